@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+
+require('../lib/cli').runCli(process.argv.slice(2));
@@ -123,15 +123,10 @@
   // Given a module with a predefined set of dependencies, this produces
   // the `require` function that modules use to call other modules
   __modules.buildRequire = function buildRequire(mod) {
-    return function require(id) {
-      var depName = mod.deps[id];
-
-      if (!depName) {
-        throw new Error(
-          'Module "' + mod.name + '" required an unknown identifier "' + id + '".\n' +
-          'Available dependencies: ' + JSON.stringify(mod.deps, null, 2)
-        );
-      }
+    // Note: the function is not named `require` as calls to it would
+    // be picked up during dependency analysis of the bootstrap
+    function requireDependency(id) {
+      var depName = resolveDependencyName(id);
 
       var depMod = __modules.modules[depName];
 
@@ -148,7 +143,163 @@
       }
 
       return __modules.getModuleExports(depMod);
+    }
+
+    // `require.async('...')`
+    //
+    // Fetches an async dependency and resolves to its exports. Calls to
+    // `import('...')` are rewritten to this during the build
+    requireDependency.async = function requireAsync(id) {
+      return Promise.resolve(id)
+        .then(resolveDependencyName)
+        .then(__modules.loadModule)
+        .then(function() {
+          return requireDependency(id);
+        });
     };
+
+    // `require.ensure([...], callback)`
+    //
+    // Fetches multiple async dependencies, then invokes the callback so
+    // that they can be required synchronously
+    requireDependency.ensure = function requireEnsure(ids, callback) {
+      return Promise.all(ids.map(function(id) {
+        return Promise.resolve(id)
+          .then(resolveDependencyName)
+          .then(__modules.loadModule);
+      }))
+        .then(function() {
+          return callback(requireDependency);
+        });
+    };
+
+    function resolveDependencyName(id) {
+      var depName = mod.deps[id];
+
+      if (!depName) {
+        throw new Error(
+          'Module "' + mod.name + '" required an unknown identifier "' + id + '".\n' +
+          'Available dependencies: ' + JSON.stringify(mod.deps, null, 2)
+        );
+      }
+
+      return depName;
+    }
+
+    return requireDependency;
+  };
+
+  // A map of async dependencies to descriptions of the records that
+  // must be defined before they can be executed
+  __modules.asyncModules = Object.create(null);
+
+  // Promises for records that are being fetched, so that concurrent
+  // requests for the same record only fetch it once
+  __modules.loadingRecords = Object.create(null);
+
+  // Informs the runtime of where it can fetch async dependencies from
+  __modules.registerAsyncModules = function registerAsyncModules(asyncModules) {
+    for (var name in asyncModules) {
+      if (Object.prototype.hasOwnProperty.call(asyncModules, name)) {
+        __modules.asyncModules[name] = asyncModules[name];
+      }
+    }
+  };
+
+  // Fetches any records that are missing for an async dependency and
+  // resolves once they have all been defined
+  __modules.loadModule = function loadModule(name) {
+    var records = __modules.asyncModules[name];
+
+    if (!records) {
+      if (__modules.modules[name]) {
+        return Promise.resolve();
+      }
+      return Promise.reject(new Error('Unknown async module "' + name + '"'));
+    }
+
+    return Promise.all(
+      records
+        .filter(function(record) {
+          return !__modules.modules[record.name];
+        })
+        .map(__modules.loadRecord)
+    )
+      .then(function() {
+        if (!__modules.modules[name]) {
+          throw new Error('Module "' + name + '" was loaded, but has not been defined');
+        }
+      });
+  };
+
+  // Adds an element to the document that fetches the record's asset
+  __modules.loadRecord = function loadRecord(record) {
+    var name = record.name;
+    var url = record.url;
+
+    if (__modules.loadingRecords[name]) {
+      return __modules.loadingRecords[name];
+    }
+
+    var promise = new Promise(function(resolve, reject) {
+      var element;
+
+      if (record.assetKind === 'script') {
+        element = document.createElement('script');
+        element.src = url;
+        // Preserve the order of execution
+        element.async = false;
+        element.setAttribute('data-unfort-name', name);
+        element.onload = resolve;
+        element.onerror = function() {
+          reject(new Error('Failed to load module "' + name + '" from ' + url));
+        };
+        (document.body || document.head).appendChild(element);
+        return;
+      }
+
+      // Stylesheets and other assets are represented by a shim module that
+      // exports their url, or the values provided by their definition
+      if (record.moduleDefinition) {
+        (0, eval)(record.moduleDefinition);
+      } else {
+        __modules.defineModule({
+          name: name,
+          hash: record.hash,
+          deps: {},
+          factory: function(module, exports) {
+            exports.default = url;
+            exports.__esModule = true;
+            if (module.hot) {
+              module.hot.accept();
+            }
+          }
+        });
+      }
+
+      if (record.assetKind !== 'style') {
+        return resolve();
+      }
+
+      element = document.createElement('link');
+      element.rel = 'stylesheet';
+      element.href = url;
+      element.setAttribute('data-unfort-name', name);
+      element.onload = resolve;
+      element.onerror = function() {
+        reject(new Error('Failed to load stylesheet "' + name + '" from ' + url));
+      };
+      document.head.appendChild(element);
+    });
+
+    __modules.loadingRecords[name] = promise;
+
+    function clearLoadingRecord() {
+      __modules.loadingRecords[name] = undefined;
+    }
+    promise.then(clearLoadingRecord, clearLoadingRecord);
+
+    return promise;
   };
 
 }));
\ No newline at end of file
@@ -0,0 +1,140 @@
+const _ = require('../vendor/lodash');
+
+const overlayStyle = {
+  position: 'fixed',
+  top: '0',
+  right: '0',
+  bottom: '0',
+  left: '0',
+  zIndex: '2147483647',
+  overflow: 'auto',
+  padding: '16px 24px',
+  boxSizing: 'border-box',
+  background: 'rgba(0, 0, 0, 0.9)',
+  color: '#e8e8e8',
+  fontFamily: 'Menlo, Consolas, monospace',
+  fontSize: '13px',
+  lineHeight: '1.4',
+  textAlign: 'left'
+};
+
+const dismissStyle = {
+  float: 'right',
+  padding: '4px 12px',
+  border: '1px solid #888',
+  borderRadius: '3px',
+  background: 'transparent',
+  color: '#e8e8e8',
+  font: 'inherit',
+  cursor: 'pointer'
+};
+
+const preStyle = {
+  margin: '8px 0',
+  padding: '8px',
+  overflowX: 'auto',
+  background: 'rgba(255, 255, 255, 0.05)',
+  whiteSpace: 'pre',
+  font: 'inherit'
+};
+
+/**
+ * Creates an overlay that covers the page and lays out errors, so that
+ * they are seen without watching the console.
+ *
+ * Errors are described by objects in the shape produced by the build's
+ * `createErrorDescription`: `{file, message, codeFrame, stack}`, where
+ * each property is optional.
+ *
+ * @returns {{add: Function, clear: Function}}
+ */
+function createErrorOverlay() {
+  const errors = [];
+  let element = null;
+
+  /**
+   * Adds an error to the overlay and displays it
+   *
+   * @param {String} title - a short description of the error's origin
+   * @param {Object} error
+   */
+  function add(title, error) {
+    errors.push({title, error});
+    render();
+  }
+
+  /**
+   * Removes every error and hides the overlay
+   */
+  function clear() {
+    errors.length = 0;
+    remove();
+  }
+
+  function remove() {
+    if (element && element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+    element = null;
+  }
+
+  function render() {
+    remove();
+
+    element = createElement('div', overlayStyle);
+    element.setAttribute('data-unfort-error-overlay', '');
+
+    const dismiss = createElement('button', dismissStyle, 'Dismiss');
+    dismiss.onclick = clear;
+    element.appendChild(dismiss);
+
+    const heading = errors.length === 1 ? '1 error' : `${errors.length} errors`;
+    element.appendChild(createElement('div', {fontSize: '16px', marginBottom: '16px'}, heading));
+
+    errors.forEach(({title, error}) => {
+      const section = createElement('div', {marginBottom: '32px'});
+
+      section.appendChild(createElement('div', {color: '#ff6b6b', fontSize: '15px'}, title));
+
+      if (error.file) {
+        section.appendChild(createElement('div', {color: '#7fb3ff', marginTop: '4px'}, error.file));
+      }
+
+      // The first line of a stack trace usually repeats the message
+      if (error.message && !_.includes(error.stack, error.message)) {
+        section.appendChild(createElement('pre', preStyle, error.message));
+      }
+
+      if (error.codeFrame) {
+        section.appendChild(createElement('pre', preStyle, error.codeFrame));
+      }
+
+      if (error.stack) {
+        section.appendChild(createElement('pre', _.assign({}, preStyle, {color: '#aaa'}), error.stack));
+      }
+
+      element.appendChild(section);
+    });
+
+    (document.body || document.documentElement).appendChild(element);
+  }
+
+  return {add, clear};
+}
+
+function createElement(tagName, style, text) {
+  const element = document.createElement(tagName);
+  _.assign(element.style, style);
+
+  // Errors are inserted as text, so that their content is never
+  // interpreted as markup
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+
+  return element;
+}
+
+module.exports = {
+  createErrorOverlay
+};
@@ -1,5 +1,6 @@
 const socketIoClient = require('../vendor/socket.io-client');
 const _ = require('../vendor/lodash');
+const {createErrorOverlay} = require('./error-overlay');
 // We reduce page load times by using pre-built and compressed
 // libraries. This shaves around 500kb from the payload
 
@@ -12,21 +13,91 @@ if (typeof Proxy !== 'function') {
 const defaultOptions = {
   SILENT_HOT_RUNTIME: false,
   SOCKET_IO_URL: undefined,
-  SOCKET_IO_OPTIONS: undefined
+  SOCKET_IO_OPTIONS: undefined,
+  RELOAD_ON_UNACCEPTED: 'warn',
+  RELOAD_PRESERVE_SCROLL: true,
+  RELOAD_SNAPSHOT: false,
+  ERROR_OVERLAY: true,
+  AUTO_APPLY: true
 };
 
 const options = _.assign({}, defaultOptions, global.__UNFORT__);
 
+const RELOAD_POLICIES = ['reload', 'warn', 'prompt'];
+
+if (RELOAD_POLICIES.indexOf(options.RELOAD_ON_UNACCEPTED) === -1) {
+  console.warn(
+    `[hot] Unknown RELOAD_ON_UNACCEPTED policy "${options.RELOAD_ON_UNACCEPTED}", falling back to "warn". Available policies: ${RELOAD_POLICIES.join(', ')}`
+  );
+  options.RELOAD_ON_UNACCEPTED = 'warn';
+}
+
+// The key that state is stored under in `sessionStorage` while the page
+// reloads after an unacceptable update
+const RELOAD_STORAGE_KEY = '__unfort_reload__';
+
 function log() {
   if (!options.SILENT_HOT_RUNTIME) {
     console.log.apply(console, arguments);
   }
 }
 
+// The status of the hot runtime, as exposed by `module.hot.status`. The
+// values reflect the statuses of webpack's HMR runtime
+let status = 'idle';
+const statusHandlers = [];
+
+function setStatus(newStatus) {
+  status = newStatus;
+  // Handlers may remove themselves, so we iterate over a copy
+  statusHandlers.slice().forEach(handler => handler(newStatus));
+}
+
+// When `AUTO_APPLY` is disabled, the latest update is stored until it
+// is applied with `module.hot.check` and `module.hot.apply`
+let pendingUpdate = null;
+
+// The names of the modules that were swapped by the latest update
+let appliedModules = [];
+
+const errorOverlay = createErrorOverlay();
+
+function showError(title, error) {
+  if (options.ERROR_OVERLAY) {
+    errorOverlay.add(title, error);
+  }
+}
+
+// The absolute urls of the scripts that have been applied during hot
+// swaps, mapped to their module's name. We use these to identify the
+// uncaught errors that are thrown from hot-swapped modules
+const hotSwappedUrls = Object.create(null);
+
+// The changes that the pending hot swap has made to the document. They are
+// committed once every module has executed, or rolled back if the swap fails
+let documentChanges = [];
+
+window.addEventListener('error', event => {
+  const name = hotSwappedUrls[event.filename];
+  if (name) {
+    showError(`Uncaught error in ${name}`, describeRuntimeError(event.error || event.message, name));
+  }
+});
+
+// If the page was reloaded by the runtime, we restore any state that
+// was preserved before the reload
+const reloadState = readReloadState();
+const reloadSnapshot = reloadState && reloadState.snapshot || null;
+
+if (reloadState && reloadState.scroll) {
+  restoreScrollPosition(reloadState.scroll);
+}
+
 // Before we start monkey-patching the runtime, we need to preserve some references
 const extendModule = __modules.extendModule;
 const defineModule = __modules.defineModule;
 const getModuleExports = __modules.getModuleExports;
+const executeModule = __modules.executeModule;
 
 /**
  * Creates a proxy that allows module exports to be swapped during
@@ -103,6 +174,23 @@ __modules.getModuleExports = function getModuleExportsHotWrapper(dependency) {
 };
 
 
+// The name of the first module that threw during execution. Hot swaps
+// reset this, so that they can report the module that caused them to fail
+let failedModule = null;
+
+// Monkey-patch `executeModule` so that we can identify the module that
+// threw, rather than the module that required it
+__modules.executeModule = function executeModuleHotWrapper(name) {
+  try {
+    return executeModule(name);
+  } catch (err) {
+    if (failedModule === null) {
+      failedModule = name;
+    }
+    throw err;
+  }
+};
+
 // Monkey-patch `extendModule` so that we can add the `hot` API and
 // data that we use to track the state of hot swaps
 __modules.extendModule = function extendModuleHotWrapper(mod) {
@@ -122,9 +210,15 @@ __modules.extendModule = function extendModuleHotWrapper(mod) {
       exportsProxy,
       accepted: false,
       acceptedCallback: null,
+      acceptedDependencies: Object.create(null),
       onExit: null,
       exitData: undefined,
-      onChanges: null
+      onEnter: null,
+      onChanges: null,
+      disposeHandlers: [],
+      disposeData: undefined,
+      declined: false,
+      declinedDependencies: Object.create(null)
     };
   }
 
@@ -137,13 +231,23 @@ __modules.extendModule = function extendModuleHotWrapper(mod) {
        * Indicate that a module will accept hot swaps. Accepts on optional
        * callback that will be triggered when a module has been removed.
        *
+       * If called with one or more dependency identifiers, updates to those
+       * dependencies are accepted without the module being re-executed, and
+       * the callback is triggered once they have been swapped.
+       *
        * Note: this has some cross-over with the functionality of
        * `module.hot.exit`. This is provided mostly for compatibility with
        * webpack's HMR API.
        *
+       * @param {String|Array|Function} [dependencies]
        * @param {Function} [cb]
        */
-      accept(cb) {
+      accept(dependencies, cb) {
+        if (_.isString(dependencies) || _.isArray(dependencies)) {
+          return acceptDependencies(mod, dependencies, cb);
+        }
+
+        cb = dependencies;
         mod.hot.accepted = true;
 
         if (_.isFunction(cb)) {
@@ -166,10 +270,22 @@ __modules.extendModule = function extendModuleHotWrapper(mod) {
           throw new Error(`module.hot.enter must be provided with a function. Received: ${cb}`);
         }
 
+        // Preserved so that the callback can be re-run if a hot swap
+        // of this module is rolled back
+        mod.hot.onEnter = cb;
+
         const prevMod = mod.hot.previous;
         if (prevMod) {
           return cb(prevMod.hot.exitData);
         }
+
+        // After a reload, the first version of the module receives the
+        // data that was snapshotted before the reload
+        if (reloadSnapshot && _.has(reloadSnapshot, mod.name)) {
+          const exitData = reloadSnapshot[mod.name];
+          delete reloadSnapshot[mod.name];
+          return cb(exitData);
+        }
       },
       /**
        * `module.hot.exit`
@@ -209,6 +325,143 @@ __modules.extendModule = function extendModuleHotWrapper(mod) {
         }
 
         mod.hot.onChanges = cb;
+      },
+      /**
+       * `module.hot.data`
+       *
+       * The object that was populated by the previous version's
+       * `module.hot.dispose` handlers, or `undefined` if the module has
+       * not been swapped.
+       *
+       * @returns {Object|undefined}
+       */
+      get data() {
+        const prevMod = mod.hot.previous;
+        if (prevMod) {
+          return prevMod.hot.disposeData;
+        }
+      },
+      /**
+       * `module.hot.dispose`
+       *
+       * Adds a handler that will be called before the module is swapped.
+       * Handlers are called with an object that they can add data to, which
+       * is exposed to the next version as `module.hot.data`.
+       *
+       * Note: unlike `module.hot.exit`, this does not accept hot swaps.
+       *
+       * @param {Function} cb
+       */
+      dispose(cb) {
+        if (!_.isFunction(cb)) {
+          throw new Error(`module.hot.dispose must be provided with a function. Received: ${cb}`);
+        }
+
+        mod.hot.disposeHandlers.push(cb);
+      },
+      /**
+       * `module.hot.addDisposeHandler`
+       *
+       * An alias of `module.hot.dispose`
+       *
+       * @param {Function} cb
+       */
+      addDisposeHandler(cb) {
+        mod.commonjs.hot.dispose(cb);
+      },
+      /**
+       * `module.hot.removeDisposeHandler`
+       *
+       * @param {Function} cb
+       */
+      removeDisposeHandler(cb) {
+        _.pull(mod.hot.disposeHandlers, cb);
+      },
+      /**
+       * `module.hot.decline`
+       *
+       * Indicates that a module cannot be hot swapped. If called with one or
+       * more dependency identifiers, updates to those dependencies will not
+       * be bubbled through the module. Declined updates are treated in the
+       * same manner as unaccepted updates.
+       *
+       * @param {String|Array} [dependencies]
+       */
+      decline(dependencies) {
+        if (dependencies === undefined) {
+          mod.hot.declined = true;
+          return;
+        }
+
+        [].concat(dependencies).forEach(id => {
+          const depName = mod.deps[id];
+          if (depName) {
+            mod.hot.declinedDependencies[depName] = true;
+          } else {
+            log(`[hot] Module "${mod.name}" declined an unknown dependency "${id}", which will be ignored`);
+          }
+        });
+      },
+      /**
+       * `module.hot.status`
+       *
+       * Returns the status of the hot runtime: 'idle', 'check', 'prepare',
+       * 'ready', 'dispose', 'apply', 'abort' or 'fail'.
+       *
+       * @returns {String}
+       */
+      status() {
+        return status;
+      },
+      /**
+       * `module.hot.addStatusHandler`
+       *
+       * Adds a handler that will be called with each new status
+       *
+       * @param {Function} cb
+       */
+      addStatusHandler(cb) {
+        if (!_.isFunction(cb)) {
+          throw new Error(`module.hot.addStatusHandler must be provided with a function. Received: ${cb}`);
+        }
+
+        statusHandlers.push(cb);
+      },
+      /**
+       * `module.hot.removeStatusHandler`
+       *
+       * @param {Function} cb
+       */
+      removeStatusHandler(cb) {
+        _.pull(statusHandlers, cb);
+      },
+      /**
+       * `module.hot.check`
+       *
+       * When `AUTO_APPLY` is disabled, checks if an update is waiting to
+       * be applied. Resolves with the names of the modules that would be
+       * updated, or null if there is no update.
+       *
+       * If `autoApply` is true, the update is applied and the returned
+       * promise resolves with the names of the modules that were swapped.
+       *
+       * @param {Boolean} [autoApply]
+       * @returns {Promise}
+       */
+      check(autoApply) {
+        return checkForUpdate(autoApply);
+      },
+      /**
+       * `module.hot.apply`
+       *
+       * Applies an update that was found by `module.hot.check`. Resolves
+       * with the names of the modules that were swapped, or rejects if the
+       * update was declined, not accepted or failed to execute.
+       *
+       * @returns {Promise}
+       */
+      apply() {
+        return applyPendingUpdate();
       }
     };
   }
@@ -228,9 +481,15 @@ _.forEach(__modules.modules, __modules.extendModule);
 __modules.pending = null;
 __modules.buffered = [];
 
+// The names of unchanged modules that must be re-executed so that they
+// pick up the changes of their dependencies
+__modules.bubbled = [];
+
 // Monkey-patch `defineModule` so that we can intercept incoming modules
 __modules.defineModule = function defineModuleHotWrapper(mod) {
-  if (!__modules.pending) {
+  // Modules that are being loaded on demand are not part of a hot
+  // swap, so they can be defined immediately
+  if (!__modules.pending || __modules.loadingRecords[mod.name]) {
     return defineModule(mod);
   }
 
@@ -261,7 +520,14 @@ __modules.defineModule = function defineModuleHotWrapper(mod) {
     const _buffered = __modules.buffered;
     __modules.buffered = [];
 
+    const _bubbled = __modules.bubbled;
+    __modules.bubbled = [];
+
+    const _documentChanges = documentChanges;
+    documentChanges = [];
+
     const modulesSwapped = Object.create(null);
+    const modulesBubbled = Object.create(null);
     const toSwap = [];
 
     _buffered.forEach(mod => {
@@ -274,10 +540,38 @@ __modules.defineModule = function defineModuleHotWrapper(mod) {
       ]);
     });
 
+    _bubbled.forEach(name => {
+      const prevMod = __modules.modules[name];
+
+      // Modules that were fetched or removed during the swap take precedence
+      if (modulesSwapped[name] || !prevMod) {
+        return;
+      }
+
+      modulesSwapped[name] = true;
+      modulesBubbled[name] = true;
+
+      // We re-execute the module from a copy of its definition, so that it
+      // passes through the same life-cycle as the modules that were fetched
+      toSwap.push([
+        __modules.extendModule({
+          name,
+          hash: prevMod.hash,
+          deps: prevMod.deps,
+          factory: prevMod.factory
+        }),
+        prevMod
+      ]);
+    });
+
+    setStatus('dispose');
+
     toSwap.forEach(([mod, prevMod]) => {
       const {name, hash} = mod;
 
-      if (prevMod) {
+      if (modulesBubbled[name]) {
+        log(`[hot] Re-executing ${name} as its dependencies have changed`);
+      } else if (prevMod) {
         log(`[hot] Hot swapping ${name} from hash ${prevMod.hash} to hash ${hash}`);
       } else {
         log(`[hot] Initializing ${name} at hash ${hash}`);
@@ -290,6 +584,14 @@ __modules.defineModule = function defineModuleHotWrapper(mod) {
           prevMod.hot.exitData = prevMod.hot.onExit();
         }
 
+        // Trigger any handlers passed to `module.hot.dispose` and store
+        // the data that they populate as the next version's `module.hot.data`
+        if (prevMod.hot.disposeHandlers.length) {
+          const disposeData = {};
+          prevMod.hot.disposeHandlers.forEach(handler => handler(disposeData));
+          prevMod.hot.disposeData = disposeData;
+        }
+
         // Store the previous version of the module so that the next version
         // can introspect it to resolve the `module.hot.enter` data
         mod.hot.previous = prevMod;
@@ -311,18 +613,36 @@ __modules.defineModule = function defineModuleHotWrapper(mod) {
     });
 
     // Execute each module
-    toSwap.forEach(([mod]) => {
-      // If we're applying multiple modules, it's possible that new
-      // modules may trigger execution of other new modules, so we
-      // need to iterate through and selectively execute modules.
-      //
-      // Note: if a module throws an error during execution, the entire
-      // hot swap will fail with it. This is by design, as it prevents
-      // unexpected behaviour
-      if (!mod.executed) {
-        __modules.executeModule(mod.name);
-      }
-    });
+    setStatus('apply');
+    failedModule = null;
+    try {
+      toSwap.forEach(([mod]) => {
+        // If we're applying multiple modules, it's possible that new
+        // modules may trigger execution of other new modules, so we
+        // need to iterate through and selectively execute modules.
+        if (!mod.executed) {
+          __modules.executeModule(mod.name);
+        }
+      });
+    } catch (err) {
+      // If a module throws an error during execution, the entire hot
+      // swap fails with it and we restore the previous versions, so
+      // that neither the runtime nor the document are left half-updated
+      rollbackHotSwap(toSwap);
+      _documentChanges.forEach(change => change.rollback());
+      setStatus('fail');
+      showError(
+        `Failed to execute ${failedModule}, the hot swap has been rolled back`,
+        describeRuntimeError(err, failedModule)
+      );
+      return console.error(
+        `[hot] Failed to execute ${failedModule}, the hot swap has been rolled back`,
+        err
+      );
+    }
+
+    // Apply the new stylesheets and remove the previous scripts
+    _documentChanges.forEach(change => change.commit());
 
     // Trigger any callbacks passed to `module.hot.accept`
     toSwap.forEach(([_, prevMod]) => {
@@ -331,6 +651,10 @@ __modules.defineModule = function defineModuleHotWrapper(mod) {
       }
     });
 
+    // Trigger any callbacks passed to `module.hot.accept` with the
+    // dependencies that were swapped
+    resolveAcceptedDependencyCallbacks(modulesSwapped).forEach(cb => cb());
+
     // If a module specified a `module.hot.changes` callback and it
     // was not swapped, then we call it now
     _.forOwn(__modules.modules, mod => {
@@ -343,6 +667,9 @@ __modules.defineModule = function defineModuleHotWrapper(mod) {
         mod.hot.onChanges();
       }
     });
+
+    appliedModules = Object.keys(modulesSwapped);
+    setStatus('idle');
   }
 };
 
@@ -357,19 +684,74 @@ io.on('unfort:build-started', () => {
 });
 
 io.on('unfort:build-error', err => {
-  console.error(`[hot] Build error: ${err}`);
+  console.error(`[hot] Build error: ${_.compact([err.file, err.codeFrame, err.stack || err.message]).join('\n')}`);
+  showError('Build error', err);
+});
+
+io.on('unfort:reload', ({name}) => {
+  // Pages that were served from an HTML document are reloaded when
+  // the document changes
+  if (__modules.document === name) {
+    log(`[hot] Reloading as ${name} has changed`);
+    window.location.reload();
+  }
 });
 
-io.on('unfort:build-complete', ({records, removed}) => {
+io.on('unfort:build-complete', update => {
   // With the complete signal, we can start updating our assets
   // and begin the process of hot swapping code.
 
+  // Builds only complete without errors, so any errors from previous
+  // builds or swaps have been resolved
+  errorOverlay.clear();
+
+  if (options.AUTO_APPLY) {
+    setStatus('check');
+    return applyUpdate(update);
+  }
+
+  // Each update describes every record, so a newer update supersedes any
+  // that have not been applied, apart from the records that they removed
+  if (pendingUpdate) {
+    const removed = _.omit(_.assign({}, pendingUpdate.removed, update.removed), _.keys(update.records));
+    update = _.assign({}, update, {removed});
+  }
+  pendingUpdate = update;
+
+  log('[hot] An update is available, call `module.hot.check` to apply it');
+});
+
+/**
+ * Applies the changes described by an `unfort:build-complete` signal
+ *
+ * @param {Object} update
+ */
+function applyUpdate({records, removed, asyncModules, entryGroups}) {
+  // Ensure that async dependencies are fetched from their latest urls
+  __modules.registerAsyncModules(asyncModules);
+
+  const groupRecords = resolveGroupRecords(entryGroups);
+
   const accepted = [];
   const unaccepted = [];
+  const bubbled = [];
+
+  const dependents = createDependentsMap(removed);
 
   _.forEach(records, (record, name) => {
     const mod = __modules.modules[name];
 
+    // New records that are only used by other entry groups are ignored
+    if (!mod && groupRecords && groupRecords.indexOf(name) === -1) {
+      return;
+    }
+
+    // Records that are only used by async dependencies are left until
+    // they are requested
+    if (!mod && record.isAsync) {
+      return;
+    }
+
     // If it's a new module, we accept it
     if (!mod) {
       accepted.push(name);
@@ -378,12 +760,20 @@ io.on('unfort:build-complete', ({records, removed}) => {
 
     // If the module is outdated, we check if we can update it
     if (mod.hash !== record.hash) {
-      if (_.endsWith(name, '.css') || !record.isTextFile) {
-        // As css and binary files are stateless, we can
-        // blindly accept them
+      // As stylesheets and other assets are stateless, we
+      // can blindly accept them
+      if (record.assetKind !== 'script') {
         accepted.push(name);
-      } else if (mod.hot.accepted) {
+        return;
+      }
+
+      // Otherwise, the module must accept the swap, or it bubbles up
+      // through the module's dependents until it reaches modules that
+      // have accepted hot swaps
+      const modules = resolveBubbledModules(name, dependents);
+      if (modules) {
         accepted.push(name);
+        bubbled.push(...modules);
       } else {
         unaccepted.push(name);
       }
@@ -392,17 +782,26 @@ io.on('unfort:build-complete', ({records, removed}) => {
 
   // If there were any unaccepted modules, we refuse to apply any changes
   if (unaccepted.length) {
-    let message = `[hot] Cannot accept any changes as the following modules have not accepted hot swaps:\n${unaccepted.join('\n')}`;
+    let message = `[hot] Cannot accept any changes as the following modules, or some of their dependents, have declined or not accepted hot swaps:\n${unaccepted.join('\n')}`;
     if (accepted.length) {
       message += `\n\nUpdates to the following modules have been blocked:\n${accepted.join('\n')}`;
     }
-    return console.warn(message);
+    setStatus('abort');
+    return handleUnacceptedUpdate(message);
   }
 
   // We try to avoid race conditions by resetting the pending state so
   // that any calls to `defineModule` are ignored. This enables us to
   // ignore any pending fetches for previous swaps
   __modules.pending = {};
+  __modules.bubbled = _.uniq(bubbled);
+
+  accepted.concat(bubbled).forEach(name => {
+    const record = records[name];
+    if (record && record.assetKind === 'script') {
+      hotSwappedUrls[new URL(record.url, window.location.href).href] = name;
+    }
+  });
 
   // Filter out updates for any modules that have already been buffered
   // for execution. This enables us to avoid any edge-cases where the
@@ -416,29 +815,28 @@ io.on('unfort:build-complete', ({records, removed}) => {
   });
 
   const modulesToRemove = _.keys(removed);
+  const removals = _.map(removed, removeModule);
   if (modulesToRemove.length) {
-    _.forEach(removed, (record, name) => {
-      // We need to clear the state for any modules that have been removed
-      // so that if they are re-added, they are executed again. This could
-      // cause some issues for crazily stateful js, but it's needed to ensure
-      // that css changes are always applied
-      __modules.modules[name] = undefined;
-
-      // Ensure that the asset is removed from the document
-      removeRecordAssetFromDocument(record);
-    });
     log(`[hot] Removed modules:\n${modulesToRemove.join('\n')}`);
   }
 
   if (!accepted.length) {
+    // Without a hot swap, there is nothing that could fail
+    removals.forEach(change => change.commit());
+    appliedModules = [];
+    setStatus('idle');
     return log('[hot] No updates to apply');
   }
 
+  setStatus('prepare');
+
+  documentChanges = removals;
+
   accepted.forEach(name => {
     const record = records[name];
 
     // Asynchronously fetch the asset
-    updateRecordAssetInDocument(record);
+    documentChanges.push(updateRecordAssetInDocument(record));
 
     // Ensure that the runtime knows that we are waiting for this specific
     // versions of the module. We need to keep this synced so that we can
@@ -458,21 +856,479 @@ io.on('unfort:build-complete', ({records, removed}) => {
     // the runtime's module registry is updated. This prevents an issue where
     // reverting a css asset to a previous version may have no effect as the
     // registry assumes it has already been applied
-    if (
-      _.endsWith(record.url, '.css') ||
-      !record.isTextFile
-    ) {
-      __modules.defineModule({
-        name: record.name,
-        hash: record.hash,
-        deps: {},
-        // Note: the factory is defined outside of this closure to prevent the
-        // signal payload from sitting in memory
-        factory: createRecordUrlModule(record.url)
-      });
+    if (record.assetKind !== 'script') {
+      if (record.moduleDefinition) {
+        // Shim modules may export more than a url, eg: CSS Modules export their
+        // class names, so we evaluate their definition and let the exports
+        // proxy point dependents at the new values
+        (0, eval)(record.moduleDefinition);
+      } else {
+        __modules.defineModule({
+          name: record.name,
+          hash: record.hash,
+          deps: {},
+          // Note: the factory is defined outside of this closure to prevent the
+          // signal payload from sitting in memory
+          factory: createRecordUrlModule(record.url)
+        });
+      }
     }
   });
-});
+}
+
+/**
+ * Pages that were built from an entry group only need the records that
+ * the group depends on
+ *
+ * @param {Object} [entryGroups]
+ * @returns {Array|null}
+ */
+function resolveGroupRecords(entryGroups) {
+  if (__modules.entryGroup && entryGroups && entryGroups[__modules.entryGroup]) {
+    return entryGroups[__modules.entryGroup];
+  }
+  return null;
+}
+
+/**
+ * Implements `module.hot.check`
+ *
+ * @param {Boolean} [autoApply]
+ * @returns {Promise}
+ */
+function checkForUpdate(autoApply) {
+  if (status !== 'idle' && status !== 'abort' && status !== 'fail') {
+    return Promise.reject(
+      new Error(`module.hot.check is only allowed while the runtime is idle. Current status: "${status}"`)
+    );
+  }
+
+  setStatus('check');
+
+  const outdated = pendingUpdate ? resolveOutdatedModules(pendingUpdate) : [];
+  if (!outdated.length && !(pendingUpdate && _.keys(pendingUpdate.removed).length)) {
+    pendingUpdate = null;
+    setStatus('idle');
+    return Promise.resolve(null);
+  }
+
+  setStatus('ready');
+
+  if (autoApply) {
+    return applyPendingUpdate();
+  }
+
+  return Promise.resolve(outdated);
+}
+
+/**
+ * Implements `module.hot.apply`
+ *
+ * @returns {Promise}
+ */
+function applyPendingUpdate() {
+  if (status !== 'ready') {
+    return Promise.reject(
+      new Error(`module.hot.apply is only allowed after module.hot.check has found an update. Current status: "${status}"`)
+    );
+  }
+
+  const update = pendingUpdate;
+  pendingUpdate = null;
+
+  const applied = new Promise((resolve, reject) => {
+    function onStatus(newStatus) {
+      if (newStatus === 'idle') {
+        _.pull(statusHandlers, onStatus);
+        resolve(appliedModules);
+      } else if (newStatus === 'abort') {
+        _.pull(statusHandlers, onStatus);
+        reject(new Error('The update was declined or not accepted'));
+      } else if (newStatus === 'fail') {
+        _.pull(statusHandlers, onStatus);
+        reject(new Error(`The update failed as ${failedModule} threw during execution`));
+      }
+    }
+    statusHandlers.push(onStatus);
+  });
+
+  applyUpdate(update);
+
+  return applied;
+}
+
+/**
+ * Resolves the names of the modules that an update would change
+ *
+ * @param {Object} update
+ * @returns {Array}
+ */
+function resolveOutdatedModules({records, entryGroups}) {
+  const groupRecords = resolveGroupRecords(entryGroups);
+
+  return _.keys(records).filter(name => {
+    const mod = __modules.modules[name];
+    if (mod) {
+      return mod.hash !== records[name].hash;
+    }
+    return !records[name].isAsync && (!groupRecords || groupRecords.indexOf(name) !== -1);
+  });
+}
+
+/**
+ * Produces a description of an error thrown by a module, in the same
+ * shape as the build errors that are sent from the server
+ *
+ * @param {*} err
+ * @param {String} name - the name of the module that threw
+ * @returns {Object}
+ */
+function describeRuntimeError(err, name) {
+  return {
+    file: name,
+    message: err && err.message || String(err),
+    codeFrame: null,
+    stack: err && err.stack || null
+  };
+}
+
+/**
+ * Restores the module registry and exports proxies to their state before
+ * a hot swap that failed during execution.
+ *
+ * As the previous versions have already had their `module.hot.exit`
+ * callbacks called, we re-run their `module.hot.enter` callbacks with
+ * the data that they exited with, so that they can restore their state.
+ * Dispose handlers cannot be reversed, so versions that were disposed, or
+ * that exited without an enter callback, are re-executed instead.
+ *
+ * @param {Array} toSwap - pairs of incoming and previous module versions
+ */
+function rollbackHotSwap(toSwap) {
+  toSwap.forEach(([mod, prevMod]) => {
+    // Allow any incoming versions that were executed to clean up after
+    // themselves, as they are about to be discarded
+    if (mod.executed) {
+      try {
+        if (mod.hot.onExit) {
+          mod.hot.onExit();
+        }
+        mod.hot.disposeHandlers.forEach(handler => handler({}));
+      } catch (err) {
+        console.error(`[hot] Failed to exit ${mod.name} during the rollback`, err);
+      }
+    }
+
+    if (prevMod) {
+      __modules.modules[mod.name] = prevMod;
+      prevMod.hot.exportsProxy.setModule(prevMod);
+    } else {
+      __modules.modules[mod.name] = undefined;
+    }
+  });
+
+  toSwap.forEach(([mod, prevMod]) => {
+    // Modules without exit callbacks or dispose handlers were left intact
+    // by the swap
+    if (!prevMod || !(prevMod.hot.onExit || prevMod.hot.disposeHandlers.length)) {
+      return;
+    }
+
+    try {
+      if (prevMod.hot.onEnter && !prevMod.hot.disposeHandlers.length) {
+        prevMod.hot.onEnter(prevMod.hot.exitData);
+      } else {
+        reexecuteModule(prevMod);
+      }
+    } catch (err) {
+      console.error(`[hot] Failed to restore ${mod.name} during the rollback`, err);
+    }
+  });
+}
+
+/**
+ * Executes a copy of a module's definition in place of the module. The
+ * copy receives the module's `module.hot.exit` and `module.hot.dispose`
+ * data, as if the module had been swapped.
+ *
+ * @param {Object} prevMod
+ */
+function reexecuteModule(prevMod) {
+  const mod = __modules.extendModule({
+    name: prevMod.name,
+    hash: prevMod.hash,
+    deps: prevMod.deps,
+    factory: prevMod.factory
+  });
+
+  mod.hot.previous = prevMod;
+  mod.hot.exportsProxy = prevMod.hot.exportsProxy;
+  mod.hot.exportsProxy.setModule(mod);
+
+  defineModule(mod);
+  executeModule(mod.name);
+}
+
+/**
+ * Applies the `RELOAD_ON_UNACCEPTED` policy to an update that could
+ * not be accepted
+ *
+ * @param {String} message - a description of the unaccepted modules
+ */
+function handleUnacceptedUpdate(message) {
+  const policy = options.RELOAD_ON_UNACCEPTED;
+
+  if (
+    policy === 'reload' ||
+    (policy === 'prompt' && window.confirm(`${message}\n\nReload the page to apply the changes?`))
+  ) {
+    console.warn(`${message}\n\nReloading the page`);
+    return reloadPage();
+  }
+
+  console.warn(message);
+}
+
+/**
+ * Reloads the page, after preserving the scroll position and snapshot
+ * (as configured) in `sessionStorage`
+ */
+function reloadPage() {
+  const state = {
+    url: window.location.href
+  };
+
+  if (options.RELOAD_PRESERVE_SCROLL) {
+    state.scroll = {
+      x: window.pageXOffset,
+      y: window.pageYOffset
+    };
+  }
+
+  if (options.RELOAD_SNAPSHOT) {
+    state.snapshot = createReloadSnapshot();
+  }
+
+  try {
+    window.sessionStorage.setItem(RELOAD_STORAGE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.warn(`[hot] Failed to preserve state across the reload: ${err}`);
+  }
+
+  window.location.reload();
+}
+
+/**
+ * Calls the `module.hot.exit` callbacks of each module and collects
+ * the data that can be serialized, so that it can be passed to the
+ * `module.hot.enter` callbacks after the reload
+ *
+ * @returns {Object}
+ */
+function createReloadSnapshot() {
+  const snapshot = {};
+
+  _.forOwn(__modules.modules, mod => {
+    if (mod === undefined || !mod.hot.onExit) {
+      return;
+    }
+
+    try {
+      const exitData = mod.hot.onExit();
+      // Ensure that the data can be serialized, so that one module
+      // cannot prevent the others from being preserved
+      JSON.stringify(exitData);
+      snapshot[mod.name] = exitData;
+    } catch (err) {
+      console.warn(`[hot] Failed to snapshot ${mod.name} before the reload: ${err}`);
+    }
+  });
+
+  return snapshot;
+}
+
+/**
+ * Reads and clears any state that was preserved by `reloadPage`
+ *
+ * @returns {Object|null}
+ */
+function readReloadState() {
+  let state;
+  try {
+    const json = window.sessionStorage.getItem(RELOAD_STORAGE_KEY);
+    if (!json) {
+      return null;
+    }
+    window.sessionStorage.removeItem(RELOAD_STORAGE_KEY);
+    state = JSON.parse(json);
+  } catch (err) {
+    // Storage may be disabled or the state may be malformed
+    return null;
+  }
+
+  // Ignore state that was preserved for another page
+  if (state.url !== window.location.href) {
+    return null;
+  }
+
+  return state;
+}
+
+/**
+ * Scrolls to a position once the page has loaded, so that the
+ * document is tall enough to reach it
+ *
+ * @param {Object} position
+ */
+function restoreScrollPosition({x, y}) {
+  const scroll = () => window.scrollTo(x, y);
+
+  if (document.readyState === 'complete') {
+    scroll();
+  } else {
+    window.addEventListener('load', scroll);
+  }
+}
+
+/**
+ * Creates a map from the name of each module to the names of the
+ * modules that depend on it
+ *
+ * @param {Object} removed - records that were removed from the build
+ * @returns {Object}
+ */
+function createDependentsMap(removed) {
+  const dependents = Object.create(null);
+
+  _.forOwn(__modules.modules, mod => {
+    // Ignore modules that were, or are about to be, removed
+    if (mod === undefined || removed[mod.name]) {
+      return;
+    }
+
+    _.forOwn(mod.deps, depName => {
+      if (!dependents[depName]) {
+        dependents[depName] = [];
+      }
+      dependents[depName].push(mod.name);
+    });
+  });
+
+  return dependents;
+}
+
+/**
+ * Walks up the dependents of a changed module that has not accepted hot
+ * swaps, in search of modules that have.
+ *
+ * If every path reaches a module that accepts hot swaps, we return the
+ * names of the modules that must be re-executed to apply the change,
+ * including the accepting modules. If any path reaches an entry point
+ * (a module without dependents) that has not accepted, we return null.
+ *
+ * @param {String} name
+ * @param {Object} dependents - produced by `createDependentsMap`
+ * @returns {Array|null}
+ */
+function resolveBubbledModules(name, dependents) {
+  const modules = [];
+  const visited = Object.create(null);
+  const stack = [name];
+
+  while (stack.length) {
+    const current = stack.pop();
+
+    if (visited[current]) {
+      continue;
+    }
+    visited[current] = true;
+
+    const mod = __modules.modules[current];
+
+    if (current !== name) {
+      // Modules that have yet to be executed will pick up the
+      // change when they are first required
+      if (!mod.executed) {
+        continue;
+      }
+      modules.push(current);
+    }
+
+    if (mod.hot.declined) {
+      return null;
+    }
+
+    if (mod.hot.accepted) {
+      continue;
+    }
+
+    const modDependents = dependents[current];
+    if (!modDependents) {
+      return null;
+    }
+
+    // Dependents may decline updates of specific dependencies
+    if (modDependents.some(dependent => __modules.modules[dependent].hot.declinedDependencies[current])) {
+      return null;
+    }
+
+    // Dependents that accept updates of specific dependencies stop the
+    // update from bubbling through them
+    stack.push(...modDependents.filter(dependent => !__modules.modules[dependent].hot.acceptedDependencies[current]));
+  }
+
+  return modules;
+}
+
+/**
+ * Records the dependencies that a module accepts updates of, as
+ * specified by `module.hot.accept(dependencies, cb)`
+ *
+ * @param {Object} mod
+ * @param {String|Array} dependencies - identifiers of the dependencies
+ * @param {Function} [cb]
+ */
+function acceptDependencies(mod, dependencies, cb) {
+  if (cb !== undefined && !_.isFunction(cb)) {
+    throw new Error(`module.hot.accept must be provided with a function as its callback. Received: ${cb}`);
+  }
+
+  [].concat(dependencies).forEach(id => {
+    const depName = mod.deps[id];
+    if (depName) {
+      mod.hot.acceptedDependencies[depName] = cb || _.noop;
+    } else {
+      log(`[hot] Module "${mod.name}" accepted an unknown dependency "${id}", which will be ignored`);
+    }
+  });
+}
+
+/**
+ * Returns the callbacks that modules passed to `module.hot.accept` for
+ * dependencies that were swapped. Modules that were swapped themselves
+ * have been re-executed, so their callbacks are ignored.
+ *
+ * @param {Object} modulesSwapped - the names of the swapped modules
+ * @returns {Array}
+ */
+function resolveAcceptedDependencyCallbacks(modulesSwapped) {
+  const callbacks = [];
+
+  _.forOwn(__modules.modules, mod => {
+    // Ignore modules that were removed, or swapped
+    if (mod === undefined || modulesSwapped[mod.name]) {
+      return;
+    }
+
+    _.forOwn(mod.hot.acceptedDependencies, (cb, depName) => {
+      if (modulesSwapped[depName]) {
+        callbacks.push(cb);
+      }
+    });
+  });
+
+  return _.uniq(callbacks);
+}
 
 /**
  * Creates a module factory that exports the provided url
@@ -489,6 +1345,35 @@ function createRecordUrlModule(url) {
   };
 }
 
+/**
+ * Removes the module associated with the provided record from the runtime.
+ *
+ * Returns a change that removes the record's asset from the document once
+ * the hot swap has executed, or restores the module if the swap fails.
+ *
+ * @param {Object} record
+ * @returns {{commit: Function, rollback: Function}}
+ */
+function removeModule(record) {
+  const {name} = record;
+  const prevMod = __modules.modules[name];
+
+  // We need to clear the state for any modules that have been removed
+  // so that if they are re-added, they are executed again. This could
+  // cause some issues for crazily stateful js, but it's needed to ensure
+  // that css changes are always applied
+  __modules.modules[name] = undefined;
+
+  return {
+    commit() {
+      removeRecordAssetFromDocument(record);
+    },
+    rollback() {
+      __modules.modules[name] = prevMod;
+    }
+  };
+}
+
 /**
  * Removes any <script> or <link> elements that are associated
  * with the provided record.
@@ -496,44 +1381,54 @@ function createRecordUrlModule(url) {
  * @param {Object} record
  */
 function removeRecordAssetFromDocument(record) {
-  const {name, url} = record;
+  const {name, assetKind} = record;
 
-  if (!record.isTextFile) {
+  if (assetKind === 'url') {
     // Nothing to do here
     return;
   }
 
-  if (_.endsWith(url, '.css')) {
+  if (assetKind === 'style') {
     return removeStylesheet(record);
   }
 
-  if (_.endsWith(url, '.js') || _.endsWith(url, '.json')) {
+  if (assetKind === 'script') {
     return removeScript(record);
   }
 
   console.warn(`[hot] Unknown file type for module ${name}, cannot remove`);
 }
 
+/**
+ * Starts to update the <script> or <link> elements that are associated
+ * with the provided record.
+ *
+ * Returns a change that is either committed once the hot swap has
+ * executed, or rolled back if it fails.
+ *
+ * @param {Object} record
+ * @returns {{commit: Function, rollback: Function}}
+ */
 function updateRecordAssetInDocument(record) {
-  const {name, url} = record;
+  const {name, assetKind} = record;
 
-  if (!record.isTextFile) {
+  if (assetKind === 'url') {
     // Nothing to do here
-    return;
+    return {commit: _.noop, rollback: _.noop};
   }
 
-  if (_.endsWith(url, '.css')) {
-    return replaceStylesheet(record);
+  if (assetKind === 'style') {
+    // Stylesheets don't need to be fetched before the swap, so we wait
+    // until it has executed to apply them
+    return {commit: () => replaceStylesheet(record), rollback: _.noop};
   }
 
-  if (
-    _.endsWith(url, '.js') ||
-    _.endsWith(url, '.json')
-  ) {
+  if (assetKind === 'script') {
     return replaceScript(record);
   }
 
   console.warn(`[hot] Unknown file type for module ${name}, cannot update`);
+  return {commit: _.noop, rollback: _.noop};
 }
 
 function replaceStylesheet(record) {
@@ -590,14 +1485,27 @@ function removeStylesheet(record) {
 function replaceScript(record) {
   const {name, url} = record;
 
-  // Clean up any pre-existing scripts
-  removeScript(record);
+  // Pre-existing scripts are left in place until the swap has executed,
+  // so that they can be restored if it fails
+  const previousScripts = _.filter(document.getElementsByTagName('script'), script => {
+    // Sometimes we end up with `null` here, for reasons unknown
+    return script && script.getAttribute('data-unfort-name') === name;
+  });
 
   // Add a new <script> element
   const script = document.createElement('script');
   script.src = url;
   script.setAttribute('data-unfort-name', name);
   document.body.appendChild(script);
+
+  return {
+    commit() {
+      previousScripts.forEach(removeElement);
+    },
+    rollback() {
+      removeElement(script);
+    }
+  };
 }
 
 function removeScript(record) {
@@ -614,4 +1522,10 @@ function removeScript(record) {
       }
     }
   });
-}
\ No newline at end of file
+}
+
+function removeElement(element) {
+  if (element.parentNode) {
+    element.parentNode.removeChild(element);
+  }
+}
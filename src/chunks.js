@@ -0,0 +1,229 @@
+import imm from 'immutable';
+import Murmur from 'imurmurhash';
+import {resolveSyncExecutionOrder} from './utils';
+
+/**
+ * A file containing the concatenated module definitions of
+ * multiple records
+ *
+ * @type {Record}
+ * @property {string} name
+ * @property {string} url
+ * @property {string} hash
+ * @property {array} records - the names of the records in the chunk
+ * @property {string} content
+ * @property {string} sourceMap - an index source map that contains a
+ *   section for each record's source map
+ * @property {string} sourceMapUrl - the url that the source map is served
+ *   from, if the `externalSourceMaps` option is enabled
+ * @property {string} sourceMapAnnotation
+ */
+export const Chunk = imm.Record({
+  name: null,
+  url: null,
+  hash: null,
+  records: null,
+  content: null,
+  sourceMap: null,
+  sourceMapUrl: null,
+  sourceMapAnnotation: null
+});
+
+/**
+ * Concatenates the module definitions of the records that the entry
+ * points depend on into one or more chunks.
+ *
+ * Records are concatenated in execution order, so that injecting each
+ * chunk in order is equivalent to injecting each record. Async
+ * dependencies are left out, as the runtime fetches them on demand.
+ *
+ * As chunks are named by the hashes of their records, any chunks that
+ * were previously generated from the same records are reused
+ *
+ * @param {object} state
+ * @param {object} [options]
+ * @param {array} [options.entryPoints] - the entry points to traverse from.
+ *   If not provided, all entry points will be used.
+ * @param {number} [options.maxRecordsPerChunk] - the maximum number of
+ *   records that will be placed in each chunk. If not provided, a single
+ *   chunk will be produced.
+ * @returns {array} an array of `Chunk` records
+ */
+export function createChunks(state, options={}) {
+  const {records, chunksByUrl, externalSourceMaps} = state;
+
+  return resolveChunkContents(state, options).map(({names, hash, url}) => {
+    if (chunksByUrl && chunksByUrl.has(url)) {
+      return chunksByUrl.get(url);
+    }
+
+    return createChunk(records, names, {hash, url, externalSourceMaps});
+  });
+}
+
+/**
+ * Generates the chunks for the build's entry points and for each of its
+ * entry groups, so that they can be served and injected without
+ * modifying the state. Any chunks that were generated by previous builds
+ * from the same records are reused
+ *
+ * @param {object} state
+ * @returns {immutable.Map} a map of urls to chunks, see `addChunksToState`
+ */
+export function createChunksByUrl(state) {
+  const options = {maxRecordsPerChunk: state.maxRecordsPerChunk};
+
+  let chunks = createChunks(state, options);
+  if (state.entryGroups) {
+    Object.keys(state.entryGroups).forEach(name => {
+      const entryPoints = state.entryGroups[name];
+      chunks = chunks.concat(createChunks(state, Object.assign({entryPoints}, options)));
+    });
+  }
+
+  return addChunksToState(state.set('chunksByUrl', null), chunks).chunksByUrl;
+}
+
+/**
+ * Looks up the chunks that were generated for the entry points by
+ * `createChunksByUrl`.
+ *
+ * Throws if the build has not generated them
+ *
+ * @param {object} state
+ * @param {array} entryPoints
+ * @returns {array} an array of `Chunk` records
+ */
+export function resolveChunks(state, entryPoints) {
+  const {chunksByUrl} = state;
+
+  return resolveChunkContents(state, {entryPoints, maxRecordsPerChunk: state.maxRecordsPerChunk})
+    .map(({url}) => {
+      if (!chunksByUrl || !chunksByUrl.has(url)) {
+        throw new Error(
+          'Chunks have not been generated for the entry points. Chunks are generated for the entry points ' +
+          'and entry groups of builds that enable the `chunks` option'
+        );
+      }
+      return chunksByUrl.get(url);
+    });
+}
+
+/**
+ * Resolves the names of the records in each chunk, along with the
+ * chunk's hash and url
+ *
+ * @param {object} state
+ * @param {object} options - see `createChunks`
+ * @returns {array}
+ */
+function resolveChunkContents(state, options) {
+  const {records, nodes, rootUrl, bootstrapRuntime} = state;
+
+  const entryPoints = options.entryPoints || state.entryPoints;
+  const maxRecordsPerChunk = options.maxRecordsPerChunk || Infinity;
+
+  const executionOrder = resolveSyncExecutionOrder(records, nodes, entryPoints)
+    // The bootstrap is injected directly, so it never lives in a chunk
+    .filter(name => name !== bootstrapRuntime);
+
+  const groups = [];
+  for (let i = 0; i < executionOrder.length; i += maxRecordsPerChunk) {
+    groups.push(executionOrder.slice(i, i + maxRecordsPerChunk));
+  }
+
+  return groups.map(names => {
+    const hashes = names.map(name => name + ':' + records.get(name).data.hash);
+    const hash = new Murmur(hashes.join('\n')).result().toString();
+    return {
+      names,
+      hash,
+      url: `${rootUrl}unfort-chunk-${hash}.js`
+    };
+  });
+}
+
+/**
+ * Concatenates the module definitions of the specified records and
+ * builds an index source map from their individual source maps
+ *
+ * @param {immutable.Map} records
+ * @param {array} names
+ * @param {string} hash
+ * @param {string} url
+ * @param {boolean} externalSourceMaps
+ * @returns {Chunk}
+ */
+function createChunk(records, names, {hash, url, externalSourceMaps}) {
+  const definitions = [];
+  const sections = [];
+
+  // Source maps are offset by the number of lines that precede each
+  // module definition
+  let line = 0;
+
+  names.forEach(name => {
+    const {assetKind, moduleDefinition, sourceMap} = records.get(name).data;
+
+    // Only scripts have source maps that reflect their module definitions,
+    // the maps of other records reflect their stylesheets or raw content
+    if (sourceMap && assetKind === 'script') {
+      sections.push({
+        offset: {line, column: 0},
+        map: JSON.parse(sourceMap)
+      });
+    }
+
+    definitions.push(moduleDefinition);
+    line += moduleDefinition.split('\n').length;
+  });
+
+  const sourceMap = JSON.stringify({
+    version: 3,
+    file: url,
+    sections
+  });
+
+  let sourceMapUrl = null;
+  let sourceMapAnnotation;
+  if (externalSourceMaps) {
+    sourceMapUrl = url + '.map';
+    sourceMapAnnotation = '\n//# sourceMappingURL=' + sourceMapUrl;
+  } else {
+    const base64SourceMap = Buffer.from(sourceMap).toString('base64');
+    sourceMapAnnotation = '\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,' + base64SourceMap;
+  }
+
+  return Chunk({
+    name: `unfort-chunk-${hash}`,
+    url,
+    hash,
+    records: names,
+    content: definitions.join('\n'),
+    sourceMap,
+    sourceMapUrl,
+    sourceMapAnnotation
+  });
+}
+
+/**
+ * Adds chunks to the `chunksByUrl` map, so that web servers can look
+ * them up by their url. External source maps are also indexed by
+ * their url
+ *
+ * @param {object} state
+ * @param {array} chunks
+ * @returns {object} the updated state
+ */
+export function addChunksToState(state, chunks) {
+  let chunksByUrl = state.chunksByUrl || imm.Map();
+
+  chunks.forEach(chunk => {
+    chunksByUrl = chunksByUrl.set(chunk.url, chunk);
+    if (chunk.sourceMapUrl) {
+      chunksByUrl = chunksByUrl.set(chunk.sourceMapUrl, chunk);
+    }
+  });
+
+  return state.set('chunksByUrl', chunksByUrl);
+}
@@ -0,0 +1,317 @@
+import fs from 'fs';
+import path from 'path';
+import yargs from 'yargs';
+import rimraf from 'rimraf';
+import promisify from 'promisify-node';
+import {createBuild, installDebugHelpers} from './unfort';
+import {createServer} from './server';
+import {createState} from './state';
+import {DEFAULT_CONFIG_FILE, resolveBuildOptions} from './config';
+
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+
+/**
+ * Parses the command-line arguments and runs the matching command.
+ *
+ * Each command reads the build's options from the project's config
+ * file, see `loadConfigFile`
+ *
+ * @param {array} args - the arguments, without the node binary and script
+ * @returns {Promise} resolves once the command has completed. Note: the
+ *   `serve` command continues to run until the process is stopped
+ */
+export function runCli(args) {
+  const argv = yargs(args)
+    .usage('Usage: unfort <command> [options]')
+    .command('serve', 'Start a development server and rebuild on changes')
+    .command('build', 'Build the project once and write it to a directory')
+    .command('cache', 'Run `unfort cache clear` or `unfort cache stats` to manage the persistent cache')
+    .command('graph', 'Trace the project and print its dependency graph')
+    .demand(1, 'A command must be specified')
+    .option('config', {
+      alias: 'c',
+      describe: 'The path to the project\'s config file',
+      default: DEFAULT_CONFIG_FILE,
+      type: 'string'
+    })
+    .option('port', {
+      alias: 'p',
+      describe: 'The port that `serve` listens on',
+      default: 3000,
+      type: 'number'
+    })
+    .option('hostname', {
+      describe: 'The hostname that `serve` listens on',
+      default: '127.0.0.1',
+      type: 'string'
+    })
+    .option('output-dir', {
+      alias: 'o',
+      describe: 'The directory that `build` writes to',
+      default: 'dist',
+      type: 'string'
+    })
+    .option('json', {
+      describe: 'Print the manifest of `build`, or the output of `graph` or `cache stats`, as JSON',
+      default: false,
+      type: 'boolean'
+    })
+    .option('debug', {
+      describe: 'Install source map support and crash on unhandled rejections, when debugging unfort itself',
+      default: false,
+      type: 'boolean'
+    })
+    .help('help')
+    .strict()
+    .argv;
+
+  const command = argv._[0];
+
+  if (argv.debug) {
+    installDebugHelpers();
+  }
+
+  return Promise.resolve()
+    .then(() => {
+      const configFile = path.resolve(argv.config);
+
+      switch (command) {
+      case 'serve':
+        return serve(configFile, argv);
+      case 'build':
+        return buildOnce(configFile, argv);
+      case 'cache':
+        return manageCache(configFile, argv._[1], argv);
+      case 'graph':
+        return printGraph(configFile, argv);
+      default:
+        throw new Error(`Unknown command "${command}". Run \`unfort --help\` for a list of commands`);
+      }
+    })
+    .catch(err => {
+      console.error(err.stack || err);
+      process.exitCode = 1;
+    });
+}
+
+function serve(configFile, argv) {
+  const build = createBuild({configFile});
+
+  createServer(build, {
+    port: argv.port,
+    hostname: argv.hostname
+  });
+
+  return build.start();
+}
+
+function buildOnce(configFile, argv) {
+  const options = {configFile};
+  if (argv.json) {
+    // Keep stdout for the manifest, so that it can be redirected to a file
+    options.logInfo = (...args) => console.error(...args);
+  }
+
+  const build = createBuild(options);
+
+  // Starting the build creates file watchers, so any failure, including
+  // one thrown by `start`, must stop the build before the process can exit
+  return Promise.resolve()
+    .then(() => build.start())
+    .then(() => build.emit({outputDir: path.resolve(argv.outputDir)}))
+    .then(
+      manifest => {
+        if (argv.json) {
+          console.log(JSON.stringify(manifest, null, 2));
+        }
+        return build.stop();
+      },
+      err => stopAfterFailure(build, err)
+    );
+}
+
+/**
+ * Stops a build that failed, then rejects with the failure so that the
+ * command exits with a non-zero code
+ *
+ * @param {object} build
+ * @param {Error} err
+ * @returns {Promise}
+ */
+function stopAfterFailure(build, err) {
+  process.exitCode = 1;
+  return build.stop().then(() => Promise.reject(err));
+}
+
+function manageCache(configFile, action, argv) {
+  const {cacheDirectory} = createState(resolveBuildOptions({configFile}));
+
+  switch (action) {
+  case 'clear':
+    return promisify(rimraf)(cacheDirectory)
+      .then(() => console.log(`Removed ${cacheDirectory}`));
+  case 'stats':
+    return getCacheStats(cacheDirectory)
+      .then(stats => {
+        if (argv.json) {
+          return console.log(JSON.stringify(stats, null, 2));
+        }
+        console.log(describeCacheStats(cacheDirectory, stats));
+      });
+  default:
+    throw new Error(`Unknown cache action "${action}". Use \`unfort cache clear\` or \`unfort cache stats\``);
+  }
+}
+
+function printGraph(configFile, argv) {
+  const build = createBuild({
+    configFile,
+    // Avoid mixing the build's progress with the output
+    logInfo() {}
+  });
+
+  // The urls of the records are irrelevant to the graph, so we allow
+  // configs that rely on the server to define them
+  if (!build.getState().rootUrl) {
+    build.setState(build.getState().set('rootUrl', '/'));
+  }
+
+  return Promise.resolve()
+    .then(() => build.start())
+    .then(() => waitForGraph(build, argv))
+    .then(
+      () => build.stop(),
+      err => stopAfterFailure(build, err)
+    );
+}
+
+/**
+ * Resolves once the build has traced its graph, after printing it
+ *
+ * @param {object} build
+ * @param {object} argv
+ * @returns {Promise}
+ */
+function waitForGraph(build, argv) {
+  return new Promise((resolve, reject) => {
+    build.onCompleted(() => {
+      if (build.hasErrors()) {
+        return reject(new Error(build.describeErrors()));
+      }
+
+      const {nodes, sourceRoot} = build.getState();
+      if (argv.json) {
+        console.log(JSON.stringify(createGraphDescription(nodes), null, 2));
+      } else {
+        console.log(describeGraph(nodes, sourceRoot));
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Produces an object that maps each node in a graph to an array of
+ * the nodes that it depends on
+ *
+ * @param {immutable.Map} nodes
+ * @returns {object}
+ */
+export function createGraphDescription(nodes) {
+  const description = {};
+
+  nodes.keySeq().sort().forEach(name => {
+    description[name] = nodes.get(name).dependencies.toArray().sort();
+  });
+
+  return description;
+}
+
+/**
+ * Produces a readable representation of a graph, where each node is
+ * followed by its dependencies. Paths are relative to `sourceRoot`
+ *
+ * @param {immutable.Map} nodes
+ * @param {string} sourceRoot
+ * @returns {string}
+ */
+export function describeGraph(nodes, sourceRoot) {
+  const description = createGraphDescription(nodes);
+  const lines = [];
+
+  Object.keys(description).forEach(name => {
+    lines.push(path.relative(sourceRoot, name));
+    description[name].forEach(dependency => {
+      lines.push(`  -> ${path.relative(sourceRoot, dependency)}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Resolves the number of files and bytes stored in each of the
+ * environment directories within a cache directory
+ *
+ * @param {string} cacheDirectory
+ * @returns {Promise} resolves to an object mapping each environment
+ *   hash to `{files, size}`
+ */
+export function getCacheStats(cacheDirectory) {
+  return readdir(cacheDirectory)
+    .catch(err => {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    })
+    .then(dirnames => Promise.all(
+      dirnames.map(dirname => getDirectoryStats(path.join(cacheDirectory, dirname)))
+    )
+      .then(dirStats => {
+        const stats = {};
+        dirnames.forEach((dirname, i) => {
+          stats[dirname] = dirStats[i];
+        });
+        return stats;
+      })
+    );
+}
+
+function getDirectoryStats(dirname) {
+  return stat(dirname)
+    .then(stats => {
+      if (!stats.isDirectory()) {
+        return {files: 1, size: stats.size};
+      }
+
+      return readdir(dirname)
+        .then(contents => Promise.all(
+          contents.map(name => getDirectoryStats(path.join(dirname, name)))
+        ))
+        .then(contentStats => contentStats.reduce(
+          (total, obj) => ({files: total.files + obj.files, size: total.size + obj.size}),
+          {files: 0, size: 0}
+        ));
+    });
+}
+
+/**
+ * @param {string} cacheDirectory
+ * @param {object} stats - the object produced by `getCacheStats`
+ * @returns {string}
+ */
+export function describeCacheStats(cacheDirectory, stats) {
+  const hashes = Object.keys(stats);
+
+  if (!hashes.length) {
+    return `${cacheDirectory} is empty`;
+  }
+
+  return [cacheDirectory]
+    .concat(
+      hashes.map(hash => `  ${hash}: ${stats[hash].files} files, ${stats[hash].size} bytes`)
+    )
+    .join('\n');
+}
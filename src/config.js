@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import {isArray, isBoolean, isFunction, isNumber, isObject, isString} from 'lodash/lang';
+import {State} from './state';
+
+export const DEFAULT_CONFIG_FILE = 'unfort.config.js';
+
+/**
+ * The expected types of the options that are commonly configured.
+ * Any other fields of the `State` record are accepted as they are
+ */
+const optionTypes = {
+  entryPoints: ['an array', isArray],
+  entryGroups: ['an object', isObject],
+  sourceRoot: ['a string', isString],
+  rootNodeModules: ['a string', isString],
+  cacheDirectory: ['a string', isString],
+  jobs: ['an object', isObject],
+  vendorRoot: ['a string', isString],
+  rootUrl: ['a string', isString],
+  getSockets: ['a function', isFunction],
+  cssModules: ['a boolean', isBoolean],
+  externalSourceMaps: ['a boolean', isBoolean],
+  sourceRootUrl: ['a string', isString],
+  sourcesContent: ['a boolean', isBoolean],
+  fileTypes: ['an object', isObject],
+  plugins: ['an array', isArray],
+  chunks: ['a boolean', isBoolean],
+  maxRecordsPerChunk: ['a number', isNumber],
+  envHash: ['an object', isObject],
+  environmentHash: ['a string', isString],
+  bootstrapRuntime: ['a string', isString],
+  hotRuntime: ['a string', isString],
+  logInfo: ['a function', isFunction],
+  logError: ['a function', isFunction]
+};
+
+/**
+ * Produces the options for a build from the options passed to `createBuild`.
+ *
+ * If a `configFile` is specified, its options are loaded and any other
+ * options are applied over the top.
+ *
+ * Throws if any of the options are unknown or have the wrong type
+ *
+ * @param {object} options
+ * @param {string} [options.configFile] - a path to a config file
+ * @returns {object}
+ */
+export function resolveBuildOptions(options={}) {
+  let buildOptions = Object.assign({}, options);
+  delete buildOptions.configFile;
+
+  let description = 'Invalid build options';
+  if (options.configFile) {
+    const configFile = path.resolve(options.configFile);
+    buildOptions = Object.assign(loadConfigFile(configFile), buildOptions);
+    description = `Invalid config in ${configFile}`;
+  }
+
+  const problems = validateOptions(buildOptions);
+  if (problems.length) {
+    throw new Error(
+      `${description}:\n` + problems.map(problem => ` - ${problem}`).join('\n')
+    );
+  }
+
+  return buildOptions;
+}
+
+/**
+ * Reads the options exported by a config file.
+ *
+ * The `sourceRoot` and the environment hash's `root` are resolved from
+ * the directory containing the file, which they default to. The file is
+ * added to the inputs of the environment hash, so that the persistent
+ * cache is invalidated when it changes
+ *
+ * @param {string} configFile - an absolute path to the config file
+ * @returns {object}
+ */
+export function loadConfigFile(configFile) {
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`Cannot find config file: ${configFile}`);
+  }
+
+  const config = Object.assign({}, require(configFile));
+  const configDir = path.dirname(configFile);
+
+  config.sourceRoot = path.resolve(configDir, config.sourceRoot || '');
+
+  const envHash = config.envHash || {};
+  config.envHash = Object.assign({}, envHash, {
+    // Otherwise, `envHash` hashes the package.json and node_modules
+    // of the current working directory
+    root: path.resolve(configDir, envHash.root || ''),
+    // Note: `envHash` defaults to `['package.json']`, so we preserve it
+    files: (envHash.files || ['package.json']).concat(configFile)
+  });
+
+  return config;
+}
+
+/**
+ * Checks an object of options against the fields of the `State` record
+ *
+ * @param {object} options
+ * @returns {array} descriptions of any problems with the options
+ */
+export function validateOptions(options) {
+  const fields = Object.keys(State().toObject());
+  const problems = [];
+
+  Object.keys(options).forEach(key => {
+    if (fields.indexOf(key) === -1) {
+      const suggestion = suggestField(key, fields);
+      problems.push(
+        `Unknown option "${key}"` + (suggestion ? `, did you mean "${suggestion}"?` : '')
+      );
+      return;
+    }
+
+    const value = options[key];
+    if (optionTypes[key] && value !== null && value !== undefined) {
+      const [description, test] = optionTypes[key];
+      if (!test(value)) {
+        problems.push(`The "${key}" option must be ${description}`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Checks that the options required to generate a build are defined.
+ *
+ * As some options can be set after a build is created (eg: `createServer`
+ * defines `rootUrl`), this is called when the build is started
+ *
+ * @param {Record} state
+ */
+export function validateRequiredOptions(state) {
+  if (!isString(state.rootUrl)) {
+    throw new Error(
+      'The "rootUrl" option must be defined, as it is used to generate the url of each record. ' +
+      'For example: `rootUrl: "/static/"`'
+    );
+  }
+}
+
+/**
+ * Finds a field that was probably intended by a misspelled key,
+ * eg: `entryPoint` or `rootURL`
+ *
+ * @param {string} key
+ * @param {array} fields
+ * @returns {string|undefined}
+ */
+function suggestField(key, fields) {
+  const lowerKey = key.toLowerCase();
+
+  return fields.find(field => {
+    const lowerField = field.toLowerCase();
+    return (
+      lowerField === lowerKey ||
+      lowerField.indexOf(lowerKey) === 0 ||
+      lowerKey.indexOf(lowerField) === 0
+    );
+  });
+}
@@ -0,0 +1,201 @@
+import postcss from 'postcss';
+import Tokenizer from 'css-selector-tokenizer';
+
+/**
+ * A postcss plugin that implements the class name scoping of CSS Modules.
+ *
+ * Local class names are renamed with `generateScopedName`, while names
+ * wrapped in `:global(...)` or following `:global` are left untouched.
+ * Declarations of `composes: ...` are removed and recorded, so that the
+ * class names of other rules and files can be added to the mapping.
+ *
+ * The result object is annotated with an `unfortCssModule` property
+ * containing:
+ *  - `classNames`: a map of local class names to their scoped names
+ *  - `compositions`: an array of `{className, names, source}` objects,
+ *    each denoting class names that are composed from another file
+ *
+ * @param {object} options
+ * @param {function} options.generateScopedName - accepts a local class name
+ *   and returns the name that will be used in the stylesheet
+ */
+export const cssModulesPlugin = postcss.plugin('unfort-css-modules', ({generateScopedName}) => {
+  return (root, result) => {
+    const classNames = {};
+    const compositions = [];
+    const localCompositions = [];
+
+    function scopeClassName(name) {
+      if (!classNames[name]) {
+        classNames[name] = generateScopedName(name);
+      }
+      return classNames[name];
+    }
+
+    root.walkRules(rule => {
+      // Selectors within keyframes are not class names
+      if (rule.parent.type === 'atrule' && /keyframes$/.test(rule.parent.name)) {
+        return;
+      }
+
+      const selectors = Tokenizer.parse(rule.selector);
+      const localClassNames = [];
+
+      selectors.nodes.forEach(selector => {
+        selector.nodes = transformSelectorNodes(selector.nodes, false, name => {
+          localClassNames.push(name);
+          return scopeClassName(name);
+        });
+      });
+
+      rule.selector = Tokenizer.stringify(selectors);
+
+      rule.walkDecls('composes', decl => {
+        const composition = parseComposition(decl);
+
+        if (!localClassNames.length) {
+          throw decl.error('`composes` can only be used in rules that contain a local class name');
+        }
+
+        localClassNames.forEach(className => {
+          if (composition.source === null) {
+            localCompositions.push({className, names: composition.names, decl});
+          } else if (composition.source === 'global') {
+            localCompositions.push({className, names: composition.names, isGlobal: true});
+          } else {
+            compositions.push({className, names: composition.names, source: composition.source});
+          }
+        });
+
+        decl.remove();
+      });
+    });
+
+    // Local compositions are resolved once every rule has been scoped, so
+    // that rules can compose classes that are defined further down the file
+    localCompositions.forEach(({className, names, isGlobal, decl}) => {
+      names.forEach(name => {
+        if (isGlobal) {
+          classNames[className] += ' ' + name;
+          return;
+        }
+
+        if (!classNames[name]) {
+          throw decl.error(`Cannot compose undefined class "${name}"`);
+        }
+
+        classNames[className] += ' ' + classNames[name];
+      });
+    });
+
+    result.unfortCssModule = {classNames, compositions};
+  };
+});
+
+/**
+ * Renames the class names within a selector's nodes, while stripping out
+ * any `:global` and `:local` pseudo-classes
+ *
+ * @param {array} nodes
+ * @param {boolean} isGlobal - indicates if class names are global by default
+ * @param {function} renameClass
+ * @returns {array}
+ */
+function transformSelectorNodes(nodes, isGlobal, renameClass) {
+  const transformed = [];
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+
+    if (node.type === 'pseudo-class' && isScopePseudoClass(node)) {
+      // Changes the mode for the rest of the selector, eg: `:global .foo`
+      isGlobal = node.name === 'global';
+
+      // Avoid leaving behind the whitespace that surrounded the pseudo-class
+      const prev = transformed[transformed.length - 1];
+      const next = nodes[i + 1];
+      if (next && next.type === 'spacing' && (!prev || prev.type === 'spacing')) {
+        i++;
+      }
+    } else if (node.type === 'nested-pseudo-class' && isScopePseudoClass(node)) {
+      // Changes the mode for the nested selector, eg: `:global(.foo)`
+      const nestedNodes = node.nodes[0].nodes;
+      transformed.push(...transformSelectorNodes(nestedNodes, node.name === 'global', renameClass));
+    } else if (node.type === 'class') {
+      transformed.push(isGlobal ? node : {type: 'class', name: renameClass(node.name)});
+    } else {
+      if (node.type === 'nested-pseudo-class') {
+        // Handle selectors such as `:not(.foo)`
+        for (const selector of node.nodes) {
+          selector.nodes = transformSelectorNodes(selector.nodes, isGlobal, renameClass);
+        }
+      }
+      transformed.push(node);
+    }
+  }
+
+  return transformed;
+}
+
+function isScopePseudoClass(node) {
+  return node.name === 'global' || node.name === 'local';
+}
+
+/**
+ * Parses the value of a `composes` declaration, for example:
+ * `composes: foo bar from "./other.css";`
+ *
+ * @param {object} decl - a postcss declaration
+ * @returns {object} an object containing `names` and `source`. `source` is
+ *   null for local compositions, "global" for global compositions, or the
+ *   dependency identifier of another file
+ */
+function parseComposition(decl) {
+  const match = /^(.+?)(?:\s+from\s+(?:global|"([^"]+)"|'([^']+)'))?\s*$/.exec(decl.value);
+
+  if (!match) {
+    throw decl.error(`Cannot parse the value of \`composes: ${decl.value}\``);
+  }
+
+  const names = match[1].split(/\s+/);
+
+  let source = null;
+  if (match[2] || match[3]) {
+    source = match[2] || match[3];
+  } else if (/\sfrom\s+global\s*$/.test(decl.value)) {
+    source = 'global';
+  }
+
+  return {names, source};
+}
+
+/**
+ * Generates a JS expression that evaluates to the class name mapping
+ * of a CSS Module. Class names that are composed from other files are
+ * pulled in from their modules' exports
+ *
+ * @param {object} cssModule - the object produced by `cssModulesPlugin`
+ * @returns {string}
+ */
+export function createCssModuleCode({classNames, compositions}) {
+  const lines = [
+    '(function() {',
+    `  var classNames = ${JSON.stringify(classNames)};`
+  ];
+
+  compositions.forEach(({className, names, source}) => {
+    names.forEach(name => {
+      lines.push(
+        `  classNames[${JSON.stringify(className)}] += " " + ` +
+        `require(${JSON.stringify(source)})["default"][${JSON.stringify(name)}];`
+      );
+    });
+  });
+
+  lines.push(
+    '  return classNames;',
+    '})()'
+  );
+
+  return lines.join('\n');
+}
@@ -0,0 +1,326 @@
+import path from 'path';
+import {fileURLToPath} from 'url';
+import imm from 'immutable';
+import * as babel from 'babel-core';
+import babylonAstDependencies from 'babylon-ast-dependencies';
+import {createCssModuleCode} from './css-modules';
+import {findHtmlDependencies} from './html';
+import {JS_MODULE_SOURCE_MAP_LINE_OFFSET, requireCompiler} from './utils';
+
+/**
+ * Describes how the records of a particular type of file are handled.
+ *
+ * The handlers are called with the same `(ref, store)` arguments as jobs
+ * and should return promises (or values). As they are given the store,
+ * handlers can delegate to jobs, so that overrides are still respected.
+ *
+ * @type {Record}
+ * @property {boolean} isTextFile - indicates if the file's content can be
+ *   transformed and served as text. Binary files are served from their
+ *   original location
+ * @property {string} assetKind - indicates how the runtimes add the record to
+ *   a document: 'script' for module definitions, 'style' for stylesheets, or
+ *   'url' for assets that are only referenced by their url. HTML documents
+ *   are indicated by 'document', and are served rather than added
+ * @property {string} outputExt - the extension of the file that the record is
+ *   served as. If null, the file's extension is used
+ * @property {function} preprocess - compiles the file before it is handled by
+ *   the pipeline of its `assetKind`, eg: Sass to css, or TypeScript to JS.
+ *   Produces an object containing the `code`, its source `map` (or null) and
+ *   the paths of any `fileDependencies`. If null, the file's text is used
+ * @property {function} fileDependencies - produces an array of paths to other
+ *   files that the record was generated from, such as the partials of a Sass
+ *   file. The watchers invalidate the record when they change
+ * @property {function} transform - produces an object containing the record's
+ *   `code` and `sourceMap`. Required for text files
+ * @property {function} analyzeDependencies - produces an array of objects
+ *   containing the `source` of each dependency. Objects containing a `warning`
+ *   describe dependencies that could not be analyzed, they are logged and
+ *   then discarded
+ * @property {function} moduleShim - produces a JS expression that the record's
+ *   module exports as its default. If null, the record's `code` is used as
+ *   the module's code
+ */
+export const FileType = imm.Record({
+  isTextFile: false,
+  assetKind: 'url',
+  outputExt: null,
+  preprocess: null,
+  fileDependencies: null,
+  transform: null,
+  analyzeDependencies: null,
+  moduleShim: null
+});
+
+export const scriptFileType = FileType({
+  isTextFile: true,
+  assetKind: 'script',
+  outputExt: '.js',
+  transform(ref, store) {
+    return store.babelFile(ref)
+      .then(file => {
+        let sourceMap = null;
+        if (file.map) {
+          // Offset each line in the source map to reflect the call to
+          // the module runtime
+          file.map.mappings = JS_MODULE_SOURCE_MAP_LINE_OFFSET + file.map.mappings;
+          sourceMap = JSON.stringify(file.map);
+        }
+
+        return {
+          code: file.code,
+          sourceMap
+        };
+      });
+  },
+  analyzeDependencies(ref, store) {
+    return store.ast(ref)
+      .then(ast => {
+        return babylonAstDependencies(ast)
+          .concat(findAsyncDependencies(ast));
+      });
+  }
+});
+
+export const typescriptFileType = scriptFileType.merge({
+  preprocess(ref, store) {
+    return store.typescriptTranspile(ref);
+  }
+});
+
+export const jsonFileType = FileType({
+  isTextFile: true,
+  assetKind: 'script',
+  transform(ref, store) {
+    return store.readText(ref)
+      .then(text => {
+        return {
+          code: text,
+          sourceMap: null
+        };
+      });
+  },
+  moduleShim(ref, store) {
+    return store.code(ref);
+  }
+});
+
+export const stylesheetFileType = FileType({
+  isTextFile: true,
+  assetKind: 'style',
+  outputExt: '.css',
+  transform(ref, store) {
+    return store.postcssTransform(ref)
+      .then(result => {
+        return {
+          code: result.css,
+          // Postcss only generates a map if its `map` option is enabled
+          sourceMap: result.map ? result.map.toString() : null
+        };
+      });
+  },
+  analyzeDependencies(ref, store) {
+    return store.postcssTransform(ref)
+      .then(result => result.unfortDependencies);
+  },
+  moduleShim(ref, store) {
+    // CSS Modules export their class names, other stylesheets their url
+    return store.cssModule(ref)
+      .then(cssModule => {
+        if (cssModule) {
+          return createCssModuleCode(cssModule);
+        }
+        return createUrlShim(ref, store);
+      });
+  }
+});
+
+export const sassFileType = stylesheetFileType.merge({
+  preprocess(ref, store) {
+    return store.sassOptions(ref)
+      .then(options => requireCompiler('sass', '.scss').compileAsync(ref.name, options))
+      .then(result => {
+        return {
+          code: result.css,
+          map: result.sourceMap || null,
+          fileDependencies: result.loadedUrls
+            .filter(url => url.protocol === 'file:')
+            .map(url => fileURLToPath(url))
+            .filter(file => file !== ref.name)
+        };
+      });
+  },
+  fileDependencies: stylesheetFileDependencies
+});
+
+export const lessFileType = stylesheetFileType.merge({
+  preprocess(ref, store) {
+    return Promise.all([
+      store.readText(ref),
+      store.lessOptions(ref)
+    ])
+      .then(([text, options]) => requireCompiler('less', '.less').render(text, options))
+      .then(result => {
+        let map = null;
+        if (result.map) {
+          map = JSON.parse(result.map);
+          // Less emits paths relative to the file, so we point them at
+          // the file system in the same manner as Sass does
+          map.sources = map.sources.map(source => {
+            return 'file://' + path.resolve(path.dirname(ref.name), source);
+          });
+        }
+
+        return {
+          code: result.css,
+          map,
+          fileDependencies: result.imports
+        };
+      });
+  },
+  fileDependencies: stylesheetFileDependencies
+});
+
+export const htmlFileType = FileType({
+  isTextFile: true,
+  assetKind: 'document',
+  transform(ref, store) {
+    return store.readText(ref)
+      .then(text => {
+        return {
+          code: text,
+          sourceMap: null
+        };
+      });
+  },
+  analyzeDependencies(ref, store) {
+    return Promise.all([
+      store.code(ref),
+      store.htmlRuntimeDependencies(ref)
+    ])
+      .then(([code, runtimes]) => {
+        return runtimes
+          .map(source => ({source}))
+          .concat(findHtmlDependencies(code));
+      });
+  },
+  moduleShim: createUrlShim
+});
+
+export const binaryFileType = FileType({
+  moduleShim: createUrlShim
+});
+
+/**
+ * The file types that are handled by default. Files with other extensions
+ * are treated as binary files
+ */
+export const defaultFileTypes = {
+  '.js': scriptFileType,
+  '.ts': typescriptFileType,
+  '.tsx': typescriptFileType,
+  '.json': jsonFileType,
+  '.css': stylesheetFileType,
+  '.scss': sassFileType,
+  '.less': lessFileType,
+  '.html': htmlFileType
+};
+
+/**
+ * Merges the default file types with any provided by the user
+ *
+ * @param {object} [fileTypes] - a map of extensions to objects that
+ *   describe a `FileType`
+ * @returns {object}
+ */
+export function createFileTypes(fileTypes={}) {
+  const registry = {};
+
+  Object.keys(defaultFileTypes).forEach(ext => {
+    registry[ext] = defaultFileTypes[ext];
+  });
+
+  Object.keys(fileTypes).forEach(ext => {
+    const fileType = FileType(fileTypes[ext]);
+
+    if (fileType.isTextFile && !fileType.transform) {
+      throw new Error(`The file type for "${ext}" is a text file, but does not define a \`transform\``);
+    }
+
+    // Stylesheets and assets are represented in the runtime by their url
+    if (fileType.assetKind !== 'script' && !fileType.moduleShim) {
+      registry[ext] = fileType.set('moduleShim', createUrlShim);
+    } else {
+      registry[ext] = fileType;
+    }
+  });
+
+  return registry;
+}
+
+/**
+ * The partials that a preprocessed stylesheet included
+ */
+function stylesheetFileDependencies(ref, store) {
+  return store.preprocessStylesheet(ref)
+    .then(stylesheet => stylesheet.fileDependencies);
+}
+
+function createUrlShim(ref, store) {
+  return store.url(ref)
+    .then(url => JSON.stringify(url));
+}
+
+/**
+ * Traverses an AST and finds the dependencies that are loaded on demand
+ * via `import('...')`, `require.async('...')` and `require.ensure([...], cb)`.
+ *
+ * Produces an array of objects in the same shape as `babylon-ast-dependencies`,
+ * with `isAsync` and `isEnsured` flags. Calls with specifiers that are not
+ * string literals, eg: `import(`./locale/${lang}`)`, are left to be resolved
+ * at runtime and are described by a `warning`
+ *
+ * @param {object} ast
+ * @returns {array}
+ */
+function findAsyncDependencies(ast) {
+  const dependencies = [];
+
+  function addDependency(node, isEnsured) {
+    if (!babel.types.isStringLiteral(node)) {
+      dependencies.push({
+        warning: `Dynamic import at line ${node.loc.start.line}, column ${node.loc.start.column} cannot be statically analyzed and will be resolved at runtime`
+      });
+      return;
+    }
+
+    dependencies.push({
+      source: node.value,
+      isAsync: true,
+      isEnsured
+    });
+  }
+
+  function isRequireMethod(callee, method) {
+    return (
+      callee.type === 'MemberExpression' &&
+      callee.object.name === 'require' &&
+      callee.property.name === method
+    );
+  }
+
+  babel.traverse(ast, {
+    CallExpression(path) {
+      const {callee} = path.node;
+      const args = path.node.arguments;
+
+      if (callee.type === 'Import' || isRequireMethod(callee, 'async')) {
+        addDependency(args[0], false);
+      } else if (isRequireMethod(callee, 'ensure') && babel.types.isArrayExpression(args[0])) {
+        args[0].elements.forEach(element => addDependency(element, true));
+      }
+    }
+  });
+
+  return dependencies;
+}
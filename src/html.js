@@ -0,0 +1,253 @@
+import {SAXParser} from 'parse5';
+import {find} from 'lodash/collection';
+import {escape} from 'lodash/string';
+import {resolveSyncExecutionOrder, resolveAsyncModules} from './utils';
+
+/**
+ * The elements that refer to other files, mapped to the attribute
+ * that contains the url
+ */
+const DEPENDENCY_ATTRIBUTES = {
+  script: 'src',
+  link: 'href',
+  img: 'src'
+};
+
+/**
+ * Finds the `<script src>`, `<link href>` and `<img src>` elements in an
+ * HTML document that refer to local files.
+ *
+ * Urls with a protocol or an absolute path are assumed to point elsewhere
+ * and are left untouched. Relative urls are converted to path-based
+ * identifiers, so that `<script src="main.js">` resolves to the file
+ * next to the document, rather than a package
+ *
+ * @param {string} html
+ * @returns {array} objects containing the `source` of each dependency, the
+ *   `tagName` of its element and the offsets of the element and attribute
+ */
+export function findHtmlDependencies(html) {
+  return parseHtml(html).dependencies;
+}
+
+/**
+ * Rewrites an HTML document so that it can be served from the build.
+ *
+ * The bootstrap runtime is inlined into the `<head>`, followed by any
+ * runtimes that the document depends on (by default, the hot runtime).
+ * Each `<script src>` is replaced with the records that its module
+ * depends on and a call to execute it, while the urls of stylesheets
+ * and images are rewritten to the urls of their records
+ *
+ * @param {Record} state - the state of a completed build
+ * @param {string} name - the name of the document's record
+ * @returns {string}
+ */
+export function createHtmlDocument(state, name) {
+  const {records, nodes, bootstrapRuntime} = state;
+
+  const record = records.get(name);
+  const html = record.data.content;
+  const resolvedDependencies = record.data.resolvedDependencies;
+
+  const {dependencies, headOffset} = parseHtml(html);
+
+  // Records that have already been added to the document
+  const included = Object.create(null);
+  included[name] = true;
+
+  const sources = dependencies.map(dependency => dependency.source);
+  const runtimes = Object.keys(resolvedDependencies)
+    .filter(id => sources.indexOf(id) === -1)
+    .map(id => resolvedDependencies[id]);
+  const scripts = dependencies
+    .filter(dependency => dependency.tagName === 'script')
+    .map(dependency => resolvedDependencies[dependency.source]);
+
+  const replacements = [];
+
+  // Stylesheets and images are represented in the runtime by their shim
+  // modules, so we define them alongside the bootstrap
+  const inlineScripts = [
+    `if (!window.__modules) {\n${records.get(bootstrapRuntime).data.content}\n}`,
+    `__modules.document = ${JSON.stringify(name)};`
+  ];
+
+  const asyncModules = resolveAsyncModules(records, nodes, runtimes.concat(scripts));
+  if (Object.keys(asyncModules).length) {
+    inlineScripts.push(`__modules.registerAsyncModules(${JSON.stringify(asyncModules)});`);
+  }
+
+  dependencies.forEach(dependency => {
+    const file = resolvedDependencies[dependency.source];
+    const dependencyRecord = records.get(file);
+
+    if (dependency.tagName === 'script') {
+      replacements.push({
+        start: dependency.start,
+        end: dependency.end,
+        text: createScriptElements(file)
+      });
+      return;
+    }
+
+    if (!included[file]) {
+      included[file] = true;
+      inlineScripts.push(dependencyRecord.data.moduleDefinition);
+    }
+
+    const {attrName} = dependency;
+    const {url} = dependencyRecord.data;
+    replacements.push({
+      start: dependency.attrStart,
+      end: dependency.attrEnd,
+      text: `${attrName}="${escape(url)}" data-unfort-name="${escape(file)}"`
+    });
+  });
+
+  let head = createInlineScript(inlineScripts.join('\n'));
+  runtimes.forEach(file => {
+    head += createScriptElements(file);
+  });
+
+  // Documents without a `<head>` receive the runtimes before their first
+  // dependency, so that the runtimes always precede the modules
+  let offset = headOffset;
+  if (offset === null) {
+    offset = dependencies.length ? dependencies[0].start : html.length;
+  }
+  replacements.push({start: offset, end: offset, text: head});
+
+  // Apply the replacements from the end of the document, so that the
+  // offsets of the earlier replacements remain valid
+  replacements.sort((a, b) => b.start - a.start);
+
+  return replacements.reduce(
+    (text, {start, end, text: replacement}) => text.slice(0, start) + replacement + text.slice(end),
+    html
+  );
+
+  function createScriptElements(file) {
+    const elements = [];
+
+    resolveSyncExecutionOrder(records, nodes, [file])
+      .filter(dependency => !included[dependency])
+      .forEach(dependency => {
+        included[dependency] = true;
+
+        const {url, assetKind, moduleDefinition} = records.get(dependency).data;
+
+        if (assetKind === 'script') {
+          elements.push(
+            `<script src="${escape(url)}" data-unfort-name="${escape(dependency)}"></script>`
+          );
+          return;
+        }
+
+        if (assetKind === 'style') {
+          elements.push(
+            `<link rel="stylesheet" href="${escape(url)}" data-unfort-name="${escape(dependency)}">`
+          );
+        }
+        elements.push(createInlineScript(moduleDefinition));
+      });
+
+    elements.push(createInlineScript(`__modules.executeModule(${JSON.stringify(file)});`));
+
+    return elements.join('');
+  }
+}
+
+/**
+ * Parses an HTML document and finds the elements that refer to local
+ * files, as well as the offset at which content can be added to the
+ * document's `<head>`
+ *
+ * @param {string} html
+ * @returns {{dependencies: array, headOffset: number|null}}
+ */
+function parseHtml(html) {
+  const dependencies = [];
+  let headOffset = null;
+  let script = null;
+
+  const parser = new SAXParser({locationInfo: true});
+
+  parser.on('startTag', (tagName, attrs, selfClosing, location) => {
+    if (tagName === 'head' && headOffset === null) {
+      headOffset = location.endOffset;
+      return;
+    }
+
+    const attrName = DEPENDENCY_ATTRIBUTES[tagName];
+    const attr = attrName && find(attrs, {name: attrName});
+    if (!attr) {
+      return;
+    }
+
+    const source = normalizeHtmlUrl(attr.value);
+    if (!source) {
+      return;
+    }
+
+    const dependency = {
+      source,
+      tagName,
+      attrName,
+      start: location.startOffset,
+      end: location.endOffset,
+      attrStart: location.attrs[attrName].startOffset,
+      attrEnd: location.attrs[attrName].endOffset
+    };
+    dependencies.push(dependency);
+
+    if (tagName === 'script') {
+      script = dependency;
+    }
+  });
+
+  parser.on('endTag', (tagName, location) => {
+    // Scripts are replaced as a whole, so their closing tag is included
+    if (tagName === 'script' && script) {
+      script.end = location.endOffset;
+      script = null;
+    }
+  });
+
+  parser.end(html);
+
+  return {dependencies, headOffset};
+}
+
+/**
+ * Converts a url in an HTML document to a dependency identifier, or
+ * null if the url does not refer to a local file
+ *
+ * @param {string} url
+ * @returns {string|null}
+ */
+function normalizeHtmlUrl(url) {
+  url = url.trim();
+
+  // Protocols, absolute and protocol-relative urls, and fragments
+  if (!url || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) {
+    return null;
+  }
+
+  // Query strings and hashes do not map to the file system
+  const id = url.split(/[?#]/)[0];
+
+  if (!id) {
+    return null;
+  }
+
+  if (id[0] === '.') {
+    return id;
+  }
+  return './' + id;
+}
+
+function createInlineScript(text) {
+  // Prevent the content from closing the element early
+  return `<script>${text.replace(/<\/script/gi, '<\\/script')}</script>`;
+}
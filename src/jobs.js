@@ -10,13 +10,14 @@ import _browserResolve from 'browser-resolve';
 import promisify from 'promisify-node';
 import {startsWith} from 'lodash/string';
 import {includes} from 'lodash/collection';
-import {zipObject} from 'lodash/array';
+import {zipObject, uniq} from 'lodash/array';
 import {assign} from 'lodash/object';
 import {isNull} from 'lodash/lang';
-import babylonAstDependencies from 'babylon-ast-dependencies';
 import postcssAstDependencies from 'postcss-ast-dependencies';
 import babelGenerator from 'babel-generator';
-import {createJSModuleDefinition, JS_MODULE_SOURCE_MAP_LINE_OFFSET} from './utils';
+import {createJSModuleDefinition, composeSourceMaps, requireCompiler} from './utils';
+import {cssModulesPlugin} from './css-modules';
+import {defaultFileTypes, binaryFileType} from './file-types';
 
 const readFile = promisify(fs.readFile);
 const stat = promisify(fs.stat);
@@ -34,10 +35,15 @@ export function createJobs({getState}={}) {
         store.moduleDefinition(ref),
         store.url(ref),
         store.sourceMapAnnotation(ref),
+        store.sourceMapUrl(ref),
         store.hashedFilename(ref),
         store.isTextFile(ref),
         store.mimeType(ref),
-        store.fileDependencies(ref)
+        store.fileDependencies(ref),
+        store.asyncDependencies(ref),
+        store.cssModule(ref),
+        store.outputExt(ref),
+        store.assetKind(ref)
       ]);
     },
     basename(ref) {
@@ -48,17 +54,42 @@ export function createJobs({getState}={}) {
     ext(ref) {
       return Promise.resolve(path.extname(ref.name));
     },
+    /**
+     * The `FileType` that describes how the record is handled, as
+     * registered by the `fileTypes` option
+     */
+    fileType(ref, store) {
+      return store.ext(ref)
+        .then(ext => {
+          const fileTypes = getState().fileTypes || defaultFileTypes;
+          return fileTypes[ext] || binaryFileType;
+        });
+    },
+    /**
+     * The extension of the file that the record is served as. For example,
+     * Sass and Less files are compiled to css
+     */
+    outputExt(ref, store) {
+      return Promise.all([
+        store.ext(ref),
+        store.fileType(ref)
+      ])
+        .then(([ext, fileType]) => fileType.outputExt || ext);
+    },
+    /**
+     * Indicates how the record is added to a document: 'script', 'style' or 'url'.
+     * HTML documents are indicated by 'document'
+     */
+    assetKind(ref, store) {
+      return store.fileType(ref)
+        .then(fileType => fileType.assetKind);
+    },
     isTextFile(ref, store) {
-      return store.ext(ref).then(ext => {
-        return (
-          ext === '.js' ||
-          ext === '.css' ||
-          ext === '.json'
-        );
-      });
+      return store.fileType(ref)
+        .then(fileType => fileType.isTextFile);
     },
     mimeType(ref, store) {
-      return store.ext(ref)
+      return store.outputExt(ref)
         .then(ext => mimeTypes.lookup(ext) || null);
     },
     readText(ref) {
@@ -74,7 +105,17 @@ export function createJobs({getState}={}) {
         });
     },
     hashText(ref, store) {
-      return store.readText(ref)
+      return store.fileType(ref)
+        .then(fileType => {
+          // The output of files that include other files (eg: the partials of
+          // Sass and Less files) depends on those files, so we hash the
+          // preprocessed code to ensure that changes are detected
+          if (fileType.fileDependencies) {
+            return store.preprocess(ref)
+              .then(preprocessed => preprocessed.code);
+          }
+          return store.readText(ref);
+        })
         .then(text => {
           const hash = new Murmur(text).result();
           return hash.toString();
@@ -96,7 +137,7 @@ export function createJobs({getState}={}) {
       return Promise.all([
         store.basename(ref),
         store.hash(ref),
-        store.ext(ref)
+        store.outputExt(ref)
       ])
         .then(([basename, hash, ext]) => {
           return `${basename}-${hash}${ext}`;
@@ -150,9 +191,14 @@ export function createJobs({getState}={}) {
         });
     },
     url(ref, store) {
-      return store.isTextFile(ref)
-        .then(isTextFile => {
-          if (isTextFile) {
+      return Promise.all([
+        store.isTextFile(ref),
+        store.assetKind(ref)
+      ])
+        .then(([isTextFile, assetKind]) => {
+          // Documents keep their names, so that their urls remain stable
+          // while they are edited
+          if (isTextFile && assetKind !== 'document') {
             return store.hashedName(ref);
           } else {
             return ref.name;
@@ -186,22 +232,54 @@ export function createJobs({getState}={}) {
           return 'file://' + ref.name + '?' + hash;
         });
     },
+    /**
+     * The url that a record's source map is served from, if the
+     * `externalSourceMaps` option is enabled. Otherwise, null
+     */
+    sourceMapUrl(ref, store) {
+      if (!getState().externalSourceMaps) {
+        return Promise.resolve(null);
+      }
+
+      return Promise.all([
+        store.assetKind(ref),
+        store.sourceMap(ref),
+        store.url(ref)
+      ]).then(([assetKind, sourceMap, url]) => {
+        if (
+          !sourceMap ||
+          assetKind === 'url'
+        ) {
+          return null;
+        }
+
+        return url + '.map';
+      });
+    },
     sourceMapAnnotation(ref, store) {
       return Promise.all([
-        store.ext(ref),
-        store.sourceMap(ref)
-      ]).then(([ext, sourceMap]) => {
+        store.assetKind(ref),
+        store.sourceMap(ref),
+        store.sourceMapUrl(ref)
+      ]).then(([assetKind, sourceMap, sourceMapUrl]) => {
         if (
           !sourceMap ||
-          !includes(['.css', '.js', '.json'], ext)
+          assetKind === 'url'
         ) {
           return null;
         }
 
-        const base64SourceMap = (new Buffer(sourceMap)).toString('base64');
-        const body = 'sourceMappingURL=data:application/json;charset=utf-8;base64,' + base64SourceMap;
+        // External source maps are only fetched by browsers when their
+        // devtools are open
+        let body;
+        if (sourceMapUrl) {
+          body = 'sourceMappingURL=' + sourceMapUrl;
+        } else {
+          const base64SourceMap = Buffer.from(sourceMap).toString('base64');
+          body = 'sourceMappingURL=data:application/json;charset=utf-8;base64,' + base64SourceMap;
+        }
 
-        if (ext === '.css') {
+        if (assetKind === 'style') {
           return `\n/*# ${body} */`;
         } else {
           return '\n//# ' + body;
@@ -228,18 +306,129 @@ export function createJobs({getState}={}) {
           };
         });
     },
+    /**
+     * Indicates if the class names in a stylesheet should be scoped to the
+     * file and exported to JS, as per CSS Modules.
+     *
+     * Enabled by the `cssModules` option, but packages and vendor files are
+     * left untouched, as their class names are typically global
+     */
+    shouldUseCssModules(ref, store) {
+      return store.assetKind(ref)
+        .then(assetKind => {
+          const {cssModules, rootNodeModules, vendorRoot} = getState();
+
+          return Boolean(
+            cssModules &&
+            assetKind === 'style' &&
+            !startsWith(ref.name, rootNodeModules) &&
+            !startsWith(ref.name, vendorRoot)
+          );
+        });
+    },
+    /**
+     * Returns a function that maps a local class name to the name
+     * used in the stylesheet
+     */
+    cssModuleScopedName(ref, store) {
+      return store.basename(ref)
+        .then(basename => {
+          const {sourceRoot} = getState();
+
+          // Names are derived from the path rather than the content, so that
+          // they remain stable while the file is edited
+          const hash = new Murmur(path.relative(sourceRoot, ref.name)).result().toString(36);
+
+          return className => `${basename}__${className}___${hash}`;
+        });
+    },
+    sassOptions() {
+      return Promise.resolve({
+        sourceMap: true,
+        sourceMapIncludeSources: true
+      });
+    },
+    lessOptions(ref) {
+      return Promise.resolve({
+        filename: ref.name,
+        sourceMap: {
+          outputSourceFiles: true,
+          disableSourcemapAnnotation: true
+        }
+      });
+    },
+    /**
+     * Compiles a file with its file type's `preprocess` hook (eg: Sass and
+     * TypeScript files). Produces an object containing:
+     *  - `code`: the compiled text
+     *  - `map`: a source map that points back to the original files, or null
+     *  - `fileDependencies`: the paths to any other files that were included
+     *
+     * Files without a `preprocess` hook produce their text
+     */
+    preprocess(ref, store) {
+      return store.fileType(ref)
+        .then(fileType => {
+          if (fileType.preprocess) {
+            return fileType.preprocess(ref, store);
+          }
+
+          return store.readText(ref)
+            .then(text => {
+              return {
+                code: text,
+                map: null,
+                fileDependencies: []
+              };
+            });
+        });
+    },
+    /**
+     * The output of `preprocess` for stylesheets. Produces an object containing:
+     *  - `css`: the stylesheet's text
+     *  - `map`: a source map that points back to the original files, or null
+     *  - `fileDependencies`: the paths to any partials that were included
+     */
+    preprocessStylesheet(ref, store) {
+      return store.preprocess(ref)
+        .then(({code, map, fileDependencies}) => {
+          return {
+            css: code,
+            map: map || null,
+            fileDependencies: fileDependencies || []
+          };
+        });
+    },
     postcssTransform(ref, store) {
       return Promise.all([
-        store.readText(ref),
+        store.preprocessStylesheet(ref),
         store.postcssPlugins(ref),
-        store.postcssTransformOptions(ref)
-      ]).then(([text, plugins, options]) => {
+        store.postcssTransformOptions(ref),
+        store.shouldUseCssModules(ref)
+      ]).then(([stylesheet, plugins, options, shouldUseCssModules]) => {
+        const text = stylesheet.css;
+
+        // Chain the source maps of preprocessed stylesheets, so that the
+        // output maps back to the original files
+        if (stylesheet.map) {
+          options = assign({}, options, {
+            map: assign({}, options.map, {prev: stylesheet.map})
+          });
+        }
 
         // Finds any `@import ...` and `url(...)` identifiers and
         // annotates the result object
         const analyzeDependencies = postcss.plugin('unfort-analyze-dependencies', () => {
           return (root, result) => {
             result.unfortDependencies = postcssAstDependencies(root);
+
+            // Stylesheets that are used in a `composes: ... from "..."`
+            // declaration are dependencies of the CSS Module
+            if (result.unfortCssModule) {
+              result.unfortCssModule.compositions.forEach(({source}) => {
+                result.unfortDependencies.push({source});
+              });
+            }
           };
         });
 
@@ -251,6 +440,19 @@ export function createJobs({getState}={}) {
           };
         });
 
+        if (shouldUseCssModules) {
+          return store.cssModuleScopedName(ref)
+            .then(generateScopedName => {
+              plugins = plugins.concat([
+                cssModulesPlugin({generateScopedName}),
+                analyzeDependencies,
+                removeImports
+              ]);
+
+              return postcss(plugins).process(text, options);
+            });
+        }
+
         plugins = plugins.concat([
           analyzeDependencies,
           removeImports
@@ -259,6 +461,28 @@ export function createJobs({getState}={}) {
         return postcss(plugins).process(text, options);
       });
     },
+    /**
+     * For CSS Modules, an object containing the class name mapping
+     * and any class names composed from other files. Otherwise, null
+     */
+    cssModule(ref, store) {
+      return store.shouldUseCssModules(ref)
+        .then(shouldUseCssModules => {
+          if (!shouldUseCssModules) {
+            return null;
+          }
+
+          return store.readCache(ref)
+            .then(cachedData => {
+              if (cachedData.cssModule) {
+                return cachedData.cssModule;
+              }
+
+              return store.postcssTransform(ref)
+                .then(result => cachedData.cssModule = result.unfortCssModule);
+            });
+        });
+    },
     babelTransformOptions(ref, store) {
       return Promise.all([
         store.url(ref),
@@ -276,10 +500,117 @@ export function createJobs({getState}={}) {
     },
     babelTransform(ref, store) {
       return Promise.all([
-        store.readText(ref),
+        store.babelTransformInput(ref),
         store.babelTransformOptions(ref)
-      ]).then(([text, options]) => {
-        return babel.transform(text, options);
+      ]).then(([input, options]) => {
+        // Rewrite any `import()` calls so that the runtime can load
+        // their dependencies on demand
+        options = assign({}, options, {
+          plugins: (options.plugins || []).concat([babelDynamicImportPlugin])
+        });
+
+        // Merge the source map of any previous compilation step, so that
+        // the output maps back to the original file
+        if (input.map) {
+          options.inputSourceMap = input.map;
+        }
+
+        return babel.transform(input.code, options);
+      });
+    },
+    /**
+     * The code that is passed to babel, and the source map of any previous
+     * compilation step. Files with a `preprocess` hook (eg: TypeScript files)
+     * are compiled beforehand
+     */
+    babelTransformInput(ref, store) {
+      return store.fileType(ref)
+        .then(fileType => {
+          if (fileType.preprocess) {
+            return store.preprocess(ref);
+          }
+
+          return Promise.all([
+            store.readText(ref),
+            store.inputSourceMap(ref)
+          ])
+            .then(([text, inputSourceMap]) => {
+              return {
+                code: text,
+                map: inputSourceMap
+              };
+            });
+        });
+    },
+    /**
+     * The source map that a package or vendor file was shipped with, either
+     * inlined as a data uri or in an external file referenced by its
+     * `sourceMappingURL` annotation. The map's sources are resolved to
+     * `file://` urls, so that they can be treated like any other source.
+     *
+     * Other files are assumed to be original sources, so this produces null.
+     * Missing or invalid source maps are ignored
+     */
+    inputSourceMap(ref, store) {
+      const {rootNodeModules, vendorRoot} = getState();
+
+      if (
+        !startsWith(ref.name, rootNodeModules) &&
+        !startsWith(ref.name, vendorRoot)
+      ) {
+        return Promise.resolve(null);
+      }
+
+      return store.readText(ref)
+        .then(text => readInputSourceMap(text, ref.name));
+    },
+    typescriptTranspileOptions(ref) {
+      return Promise.resolve({
+        fileName: ref.name,
+        reportDiagnostics: true,
+        compilerOptions: {
+          // ES modules are preserved, so that babel can analyze the
+          // dependencies and apply any module transforms
+          module: 'ESNext',
+          target: 'ES5',
+          jsx: 'react',
+          sourceMap: true,
+          inlineSources: true
+        }
+      });
+    },
+    /**
+     * Transpiles TypeScript to JS. Produces an object containing the `code`
+     * and `map`. Type checking is left to the TypeScript compiler, but syntax
+     * errors will be thrown
+     */
+    typescriptTranspile(ref, store) {
+      return Promise.all([
+        store.ext(ref),
+        store.readText(ref),
+        store.typescriptTranspileOptions(ref),
+        store.sourceUrl(ref)
+      ]).then(([ext, text, options, sourceUrl]) => {
+        const ts = requireCompiler('typescript', ext);
+        const result = ts.transpileModule(text, options);
+
+        const diagnostic = (result.diagnostics || [])
+          .filter(diagnostic => diagnostic.category === ts.DiagnosticCategory.Error)[0];
+        if (diagnostic) {
+          throw createTypeScriptError(ts, diagnostic);
+        }
+
+        let map = null;
+        if (result.sourceMapText) {
+          map = JSON.parse(result.sourceMapText);
+          map.sources = [sourceUrl];
+        }
+
+        return {
+          // The source map is handled separately, so we remove the annotation
+          code: result.outputText.replace(/\n\/\/# sourceMappingURL=.*$/, ''),
+          map
+        };
       });
     },
     babelGeneratorOptions(ref, store) {
@@ -303,18 +634,39 @@ export function createJobs({getState}={}) {
       return Promise.all([
         store.readText(ref),
         store.babylonAst(ref),
-        store.babelGeneratorOptions(ref)
-      ]).then(([text, ast, options]) => {
-        return babelGenerator(ast, options, text);
+        store.babelGeneratorOptions(ref),
+        store.inputSourceMap(ref)
+      ]).then(([text, ast, options, inputSourceMap]) => {
+        const file = babelGenerator(ast, options, text);
+
+        if (inputSourceMap) {
+          // The annotation points to a file that is not served, so we remove it
+          // and map the output back through the file's own source map
+          file.code = file.code.replace(SOURCE_MAPPING_URL_ANNOTATION, '');
+          if (file.map) {
+            file.map = composeSourceMaps(file.map, inputSourceMap);
+          }
+        }
+
+        return file;
       });
     },
-    shouldBabelTransform(ref) {
-      const {rootNodeModules, vendorRoot} = getState();
+    shouldBabelTransform(ref, store) {
+      return store.fileType(ref)
+        .then(fileType => {
+          // Preprocessed files (eg: TypeScript) always need to be compiled, as
+          // `babelGenerator` works from the original text
+          if (fileType.preprocess) {
+            return true;
+          }
 
-      return Promise.resolve(
-        !startsWith(ref.name, rootNodeModules) &&
-        !startsWith(ref.name, vendorRoot)
-      );
+          const {rootNodeModules, vendorRoot} = getState();
+
+          return (
+            !startsWith(ref.name, rootNodeModules) &&
+            !startsWith(ref.name, vendorRoot)
+          );
+        });
     },
     babelFile(ref, store) {
       return store.shouldBabelTransform(ref)
@@ -330,18 +682,35 @@ export function createJobs({getState}={}) {
       return store.babelTransform(ref)
         .then(file => file.ast);
     },
+    /**
+     * An AST for files that are not babel transformed. As with the
+     * `babelAst`, any calls to `import('...')` are rewritten to
+     * `require.async('...')`
+     */
     babylonAst(ref, store) {
       return store.readText(ref)
         .then(text => {
-          return babylon.parse(text, {
-            sourceType: 'script'
+          const ast = babylon.parse(text, {
+            sourceType: 'script',
+            plugins: ['dynamicImport']
           });
+
+          babel.traverse(ast, {
+            CallExpression(path) {
+              rewriteDynamicImport(path, babel.types);
+            }
+          });
+
+          return ast;
         });
     },
     ast(ref, store) {
-      return store.ext(ref)
-        .then(ext => {
-          if (ext === '.js') {
+      return Promise.all([
+        store.fileType(ref),
+        store.outputExt(ref)
+      ])
+        .then(([fileType, ext]) => {
+          if (fileType.outputExt === '.js') {
             return store.shouldBabelTransform(ref)
               .then(shouldBabelTransform => {
                 if (shouldBabelTransform) {
@@ -359,20 +728,11 @@ export function createJobs({getState}={}) {
         });
     },
     analyzeDependencies(ref, store) {
-      return store.ext(ref)
-        .then(ext => {
-          if (ext === '.css') {
-            return store.postcssTransform(ref)
-              .then(result => {
-                return result.unfortDependencies;
-              });
+      return store.fileType(ref)
+        .then(fileType => {
+          if (fileType.analyzeDependencies) {
+            return fileType.analyzeDependencies(ref, store);
           }
-
-          if (ext === '.js') {
-            return store.ast(ref)
-              .then(ast => babylonAstDependencies(ast));
-          }
-
           return [];
         });
     },
@@ -384,33 +744,58 @@ export function createJobs({getState}={}) {
           }
 
           return store.analyzeDependencies(ref)
-            .then(deps => deps.map(dep => dep.source))
-            // Remove any parts of the identifier that we wont be able to
-            // map to the file system
-            .then(ids => ids.map(id => {
-              // Webpack loaders
-              const bangStart = id.indexOf('!');
-              if (bangStart !== -1) {
-                id = id.slice(0, bangStart);
-              }
+            .then(deps => {
+              // Dependencies that could not be analyzed are reported, rather
+              // than failing the build
+              deps
+                .filter(dep => dep.warning)
+                .forEach(dep => getState().logInfo(`Warning: ${dep.warning} in ${ref.name}`));
 
-              // Url params
-              const paramStart = id.indexOf('?');
-              if (paramStart !== -1) {
-                id = id.slice(0, paramStart);
-              }
+              return deps
+                .filter(dep => !dep.warning)
+                .map(dep => dep.source);
+            })
+            .then(ids => ids.map(cleanDependencyIdentifier))
+            .then(ids => cachedData.dependencyIdentifiers = ids);
+        });
+    },
+    /**
+     * The identifiers of dependencies that are loaded on demand, via either
+     * `import('...')` or `require.ensure([...], cb)`. The runtime fetches
+     * these dependencies when they are requested, so they are omitted from
+     * the initial injection of the record's dependents.
+     *
+     * If an identifier is also imported statically, it is treated as a
+     * normal dependency. The exception is identifiers listed in a call to
+     * `require.ensure`, as the callback will typically `require` them
+     */
+    asyncDependencyIdentifiers(ref, store) {
+      return store.readCache(ref)
+        .then(cachedData => {
+          if (cachedData.asyncDependencyIdentifiers) {
+            return cachedData.asyncDependencyIdentifiers;
+          }
 
-              // Url hashes
-              const hashStart = id.indexOf('#');
-              if (hashStart !== -1) {
-                id = id.slice(0, hashStart);
-              }
+          return store.analyzeDependencies(ref)
+            .then(deps => {
+              const syncIds = deps
+                .filter(dep => !dep.isAsync && !dep.warning)
+                .map(dep => dep.source);
 
-              return id;
-            }))
-            .then(ids => cachedData.dependencyIdentifiers = ids);
+              return deps
+                .filter(dep => dep.isAsync && (dep.isEnsured || !includes(syncIds, dep.source)))
+                .map(dep => cleanDependencyIdentifier(dep.source));
+            })
+            .then(ids => cachedData.asyncDependencyIdentifiers = uniq(ids));
         });
     },
+    /**
+     * The runtimes that are injected into HTML documents, after the bootstrap.
+     * Override this to remove the hot runtime from your pages
+     */
+    htmlRuntimeDependencies() {
+      return Promise.resolve([getState().hotRuntime]);
+    },
     pathDependencyIdentifiers(ref, store) {
       return store.dependencyIdentifiers(ref)
         .then(ids => ids.filter(id => id[0] === '.' || path.isAbsolute(id)));
@@ -434,7 +819,7 @@ export function createJobs({getState}={}) {
         basedir: path.dirname(ref.name),
         // The extensions that the resolver looks for considering identifiers
         // without an extension
-        extensions: ['.js', '.json'],
+        extensions: ['.js', '.json', '.ts', '.tsx'],
         // The node core modules that should be shimmed for browser environments.
         // We use browserify's as they tend to upgrade them more often. Webpack's
         // `node-libs-browser` is another alternative
@@ -512,6 +897,35 @@ export function createJobs({getState}={}) {
           return assign({}, pathDeps, packageDeps);
         });
     },
+    /**
+     * The resolved paths of the dependencies that are loaded on demand
+     */
+    asyncDependencies(ref, store) {
+      return Promise.all([
+        store.resolvedDependencies(ref),
+        store.asyncDependencyIdentifiers(ref)
+      ])
+        .then(([resolved, ids]) => ids.map(id => resolved[id]));
+    },
+    /**
+     * Applies the file type's `transform` to the record. Produces an object
+     * containing the `code` and `sourceMap`
+     */
+    transform(ref, store) {
+      return Promise.all([
+        store.ext(ref),
+        store.fileType(ref)
+      ])
+        .then(([ext, fileType]) => {
+          if (!fileType.transform) {
+            return Promise.reject(
+              `Unknown text file extension: ${ext}. Cannot transform file: ${ref.name}`
+            );
+          }
+
+          return fileType.transform(ref, store);
+        });
+    },
     code(ref, store) {
       return store.isTextFile(ref)
         .then(isTextFile => {
@@ -521,55 +935,46 @@ export function createJobs({getState}={}) {
 
           return Promise.all([
             store.ext(ref),
+            store.fileType(ref),
             store.readCache(ref)
           ])
-            .then(([ext, cachedData]) => {
+            .then(([ext, fileType, cachedData]) => {
               if (cachedData.code) {
                 return cachedData.code;
               }
 
-              if (ext === '.css') {
-                return store.postcssTransform(ref)
-                  .then(result => cachedData.code = result.css);
-              }
-
-              if (ext === '.js') {
-                const state = getState();
-                // Serve up the runtimes without any transformation
-                if (
-                  ref.name === state.bootstrapRuntime ||
-                  ref.name === state.hotRuntime
-                ) {
-                  return store.readText(ref);
-                }
-
-                return store.babelFile(ref)
-                  .then(file => cachedData.code = file.code);
+              const state = getState();
+              // Serve up the runtimes without any transformation
+              if (
+                ref.name === state.bootstrapRuntime ||
+                ref.name === state.hotRuntime
+              ) {
+                return store.readText(ref);
               }
 
-              if (ext === '.json') {
-                return store.readText(ref);
+              if (!fileType.transform) {
+                return Promise.reject(
+                  `Unknown text file extension: ${ext}. Cannot generate code for file: ${ref.name}`
+                );
               }
 
-              return Promise.reject(
-                `Unknown text file extension: ${ext}. Cannot generate code for file: ${ref.name}`
-              );
+              return store.transform(ref)
+                .then(result => cachedData.code = result.code);
             });
         });
     },
     /**
-     * For JS and JSON records, we can inject the record's code. For all other
-     * types, we inject a url to their location
+     * If the file type defines a `moduleShim`, we inject the value that it
+     * produces, for example: a stylesheet's url. Otherwise, we inject the
+     * record's code
      */
     moduleContents(ref, store) {
-      return store.ext(ref)
-        .then(ext => {
-          if (ext === '.js' || ext === '.json') {
-            return store.code(ref);
-          } else {
-            return store.url(ref)
-              .then(url => JSON.stringify(url));
+      return store.fileType(ref)
+        .then(fileType => {
+          if (fileType.moduleShim) {
+            return fileType.moduleShim(ref, store);
           }
+          return store.code(ref);
         });
     },
     /**
@@ -578,8 +983,8 @@ export function createJobs({getState}={}) {
      * of non-JS records
      */
     shouldShimModuleDefinition(ref, store) {
-      return store.ext(ref)
-        .then(ext => ext !== '.js');
+      return store.fileType(ref)
+        .then(fileType => Boolean(fileType.moduleShim));
     },
     /**
      * Generates the module code for a record. This is primarily of use to
@@ -636,33 +1041,35 @@ export function createJobs({getState}={}) {
     },
     /**
      * Generates the executable content of a record.
-     * For js and json records, this is the module definition.
-     * For css, this is the stylesheet.
+     * For scripts, this is the module definition.
+     * For stylesheets and other text files, this is their code.
      */
     content(ref, store) {
       return Promise.all([
         store.isTextFile(ref),
-        store.ext(ref)
+        store.ext(ref),
+        store.fileType(ref)
       ])
-      .then(([isTextFile, ext]) => {
+      .then(([isTextFile, ext, fileType]) => {
         if (!isTextFile) {
           return null;
         }
 
-        if (
-          ref.name === getState().bootstrapRuntime ||
-          ext === '.css'
-        ) {
+        if (ref.name === getState().bootstrapRuntime) {
           return store.code(ref);
         }
 
-        if (ext === '.js' || ext === '.json') {
+        if (fileType.assetKind === 'script') {
           return store.moduleDefinition(ref);
         }
 
-        return Promise.reject(
-          `Unknown text file extension: ${ext}. Cannot generate content for file: ${ref.name}`
-        );
+        if (!fileType.transform) {
+          return Promise.reject(
+            `Unknown text file extension: ${ext}. Cannot generate content for file: ${ref.name}`
+          );
+        }
+
+        return store.code(ref);
       });
     },
     /**
@@ -675,38 +1082,33 @@ export function createJobs({getState}={}) {
             return null;
           }
 
-          return store.readCache(ref)
-            .then(cachedData => {
+          return Promise.all([
+            store.ext(ref),
+            store.fileType(ref),
+            store.readCache(ref)
+          ])
+            .then(([ext, fileType, cachedData]) => {
               if (cachedData.sourceMap) {
                 return cachedData.sourceMap;
               }
 
-              return store.ext(ref)
-                .then(ext => {
-                  if (ext === '.css') {
-                    return store.postcssTransform(ref)
-                      .then(result => cachedData.sourceMap = result.map.toString());
-                  }
-
-                  if (ext === '.js') {
-                    return store.babelFile(ref)
-                      .then(file => {
-                        // Offset each line in the source map to reflect the call to
-                        // the module runtime
-                        file.map.mappings = JS_MODULE_SOURCE_MAP_LINE_OFFSET + file.map.mappings;
-
-                        return cachedData.sourceMap = JSON.stringify(file.map);
-                      });
-                  }
-
-                  if (ext === '.json') {
-                    return null;
-                  }
-
-                  return Promise.reject(
-                    `Unknown text file extension: ${ext}. Cannot generate source map for file: ${ref.name}`
-                  );
-                });
+              if (!fileType.transform) {
+                return Promise.reject(
+                  `Unknown text file extension: ${ext}. Cannot generate source map for file: ${ref.name}`
+                );
+              }
+
+              return store.transform(ref)
+                .then(result => cachedData.sourceMap = result.sourceMap);
+            })
+            .then(sourceMap => {
+              const {sourceRoot, sourceRootUrl, sourcesContent} = getState();
+
+              if (!sourceMap || (!sourceRootUrl && !sourcesContent)) {
+                return sourceMap;
+              }
+
+              return relocateSourceMapSources(sourceMap, {sourceRoot, sourceRootUrl, sourcesContent});
             });
         });
     },
@@ -716,12 +1118,232 @@ export function createJobs({getState}={}) {
      * the file watchers to invalidate a record when its dependencies
      * change.
      *
-     * An example use-case would be compiling a CSS file with LESS or
-     * SASS. As those tools will bundle multiple files into a single file,
-     * you should return an array of the bundled files
+     * The paths are produced by the `fileDependencies` hook of the record's
+     * file type. For Sass and Less files, this is the partials that the
+     * compiler included. If you register a file type for a tool that bundles
+     * multiple files into a single file, its hook should return an array of
+     * the bundled files
      */
-    fileDependencies() {
-      return Promise.resolve([]);
+    fileDependencies(ref, store) {
+      return store.fileType(ref)
+        .then(fileType => {
+          if (!fileType.fileDependencies) {
+            return [];
+          }
+
+          return store.readCache(ref)
+            .then(cachedData => {
+              if (cachedData.fileDependencies) {
+                return cachedData.fileDependencies;
+              }
+
+              return Promise.resolve(fileType.fileDependencies(ref, store))
+                .then(fileDependencies => cachedData.fileDependencies = fileDependencies);
+            });
+        });
+    }
+  };
+}
+
+/**
+ * Matches a `//# sourceMappingURL=...` annotation at the end of a line
+ */
+const SOURCE_MAPPING_URL_ANNOTATION = /\/\/[#@][ \t]+sourceMappingURL=(\S+)[ \t]*$/mg;
+
+/**
+ * Loads the source map referenced by the last `sourceMappingURL` annotation
+ * in a JS file. Data uris are decoded, while other urls are read relative
+ * to the file
+ *
+ * @param {string} text - the content of the file
+ * @param {string} file - the path to the file
+ * @returns {Promise} resolves to the source map object, or null
+ */
+function readInputSourceMap(text, file) {
+  let url = null;
+  const annotation = new RegExp(SOURCE_MAPPING_URL_ANNOTATION.source, 'mg');
+  let match;
+  while ((match = annotation.exec(text))) {
+    url = match[1];
+  }
+
+  if (!url) {
+    return Promise.resolve(null);
+  }
+
+  let mapFile = file;
+  let mapText;
+  if (startsWith(url, 'data:')) {
+    const data = url.slice(url.indexOf(',') + 1);
+    if (url.slice(0, url.indexOf(',')).indexOf(';base64') === -1) {
+      mapText = Promise.resolve(decodeURIComponent(data));
+    } else {
+      mapText = Promise.resolve(Buffer.from(data, 'base64').toString());
+    }
+  } else {
+    mapFile = path.resolve(path.dirname(file), url.split(/[?#]/)[0]);
+    mapText = readFile(mapFile, 'utf8');
+  }
+
+  return mapText
+    .then(text => {
+      const map = JSON.parse(text);
+      const sourceRoot = map.sourceRoot || '';
+
+      // Sources that have a protocol (eg: webpack:///) are left untouched
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(sourceRoot)) {
+        map.sources = map.sources.map(source => {
+          if (/^[a-z][a-z0-9+.-]*:/i.test(source)) {
+            return source;
+          }
+          return 'file://' + path.resolve(path.dirname(mapFile), sourceRoot, source);
+        });
+        delete map.sourceRoot;
+      }
+
+      return map;
+    })
+    .catch(() => null);
+}
+
+/**
+ * Rewrites the `sources` of a source map, so that they can be fetched from
+ * a server rather than the file system.
+ *
+ * Sources that point to files (eg: the `file://` urls from `sourceUrl`) are
+ * made relative to `sourceRoot` and the map's own `sourceRoot` is set to
+ * `sourceRootUrl`. Files outside of the source root retain their absolute
+ * paths, as the `url` job does. If `sourcesContent` is true, the content
+ * of any files that are missing from the map's `sourcesContent` is embedded
+ *
+ * @param {string} sourceMap
+ * @param {object} options
+ * @param {string} options.sourceRoot
+ * @param {string} [options.sourceRootUrl]
+ * @param {boolean} [options.sourcesContent]
+ * @returns {Promise} resolves to the rewritten source map
+ */
+function relocateSourceMapSources(sourceMap, {sourceRoot, sourceRootUrl, sourcesContent}) {
+  const map = JSON.parse(sourceMap);
+
+  const files = map.sources.map(source => {
+    const file = startsWith(source, 'file://') ? source.slice('file://'.length) : source;
+    const filename = file.split('?')[0];
+    return path.isAbsolute(filename) ? filename : null;
+  });
+
+  if (sourceRootUrl) {
+    map.sourceRoot = sourceRootUrl;
+    map.sources = map.sources.map((source, i) => {
+      const file = files[i];
+      if (!file) {
+        return source;
+      }
+
+      // Preserve the hashes that prevent browsers from caching the sources
+      const query = source.indexOf('?') === -1 ? '' : source.slice(source.indexOf('?'));
+
+      if (startsWith(file, sourceRoot)) {
+        return path.relative(sourceRoot, file).split(path.sep).join('/') + query;
+      }
+      return file + query;
+    });
+  }
+
+  if (!sourcesContent) {
+    return Promise.resolve(JSON.stringify(map));
+  }
+
+  // Preprocessors may have already embedded some of the content
+  const existingContent = map.sourcesContent || [];
+
+  return Promise.all(
+    files.map((file, i) => {
+      if (existingContent[i] || !file) {
+        return existingContent[i] || null;
+      }
+      return readFile(file, 'utf8').catch(() => null);
+    })
+  )
+    .then(contents => {
+      map.sourcesContent = contents;
+      return JSON.stringify(map);
+    });
+}
+
+/**
+ * Removes any parts of a dependency identifier that we wont be able
+ * to map to the file system
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+function cleanDependencyIdentifier(id) {
+  // Webpack loaders
+  const bangStart = id.indexOf('!');
+  if (bangStart !== -1) {
+    id = id.slice(0, bangStart);
+  }
+
+  // Url params
+  const paramStart = id.indexOf('?');
+  if (paramStart !== -1) {
+    id = id.slice(0, paramStart);
+  }
+
+  // Url hashes
+  const hashStart = id.indexOf('#');
+  if (hashStart !== -1) {
+    id = id.slice(0, hashStart);
+  }
+
+  return id;
+}
+
+/**
+ * A babel plugin that enables the parsing of `import('...')` and rewrites
+ * each call to `require.async('...')`, which the runtime provides
+ */
+function babelDynamicImportPlugin({types}) {
+  return {
+    manipulateOptions(opts, parserOpts) {
+      parserOpts.plugins.push('dynamicImport');
+    },
+    visitor: {
+      CallExpression(path) {
+        rewriteDynamicImport(path, types);
+      }
     }
   };
 }
+
+function rewriteDynamicImport(path, types) {
+  if (path.node.callee.type === 'Import') {
+    path.get('callee').replaceWith(
+      types.memberExpression(types.identifier('require'), types.identifier('async'))
+    );
+  }
+}
+
+/**
+ * Converts a TypeScript diagnostic to an error that indicates the
+ * location of the problem
+ *
+ * @param {object} ts - the typescript package
+ * @param {object} diagnostic
+ * @returns {Error}
+ */
+function createTypeScriptError(ts, diagnostic) {
+  const err = new Error(ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n'));
+
+  if (diagnostic.file) {
+    const {line, character} = diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start);
+    // TypeScript's lines are zero-indexed, babel's are not
+    err.loc = {
+      line: line + 1,
+      column: character
+    };
+  }
+
+  return err;
+}
@@ -0,0 +1,243 @@
+import fs from 'fs';
+import path from 'path';
+import Murmur from 'imurmurhash';
+import mkdirp from 'mkdirp';
+import promisify from 'promisify-node';
+import {startsWith} from 'lodash/string';
+import {resolveExecutionOrder} from 'cyclic-dependency-graph';
+import {createRecordInjectionStream, resolveRecordInjection} from './streams';
+import {createHtmlDocument} from './html';
+
+const writeFile = promisify(fs.writeFile);
+
+/**
+ * Writes the records of a completed build to a directory, so that
+ * they can be served by a static file server.
+ *
+ * Each text record's content is written to its hashed filename and
+ * binary records are copied across. HTML documents are written to their
+ * original filenames, rewritten to load the records that they refer to. The output mirrors the urls
+ * generated by the `url` job, so `rootUrl` should point to wherever
+ * the directory will be served from.
+ *
+ * Alongside the records, we write a script that injects the entry
+ * points (as `createRecordInjectionStream` would) and a JSON manifest
+ * that maps each record's source name to its url.
+ *
+ * Unless a `sourceRootUrl` is defined, the source maps refer to their
+ * sources by `file://` urls, so we rewrite them to paths relative to
+ * `sourceRoot` rather than publish the absolute paths of the build machine
+ *
+ * @param {object} build - an object representing a completed build
+ * @param {object} options
+ * @param {string} options.outputDir - the directory to write to
+ * @param {string} [options.manifestFilename] - the name of the manifest file
+ * @param {array} [options.entryPoints] - the entry points to inject.
+ *   If not provided, all entry points will be injected.
+ * @returns {Promise} resolves to the manifest
+ */
+export function writeBuildOutput(build, options={}) {
+  const state = build.getState();
+
+  const {
+    outputDir,
+    manifestFilename = 'manifest.json',
+    entryPoints = state.entryPoints
+  } = options;
+
+  if (!outputDir) {
+    return Promise.reject(new Error('An `outputDir` option must be provided to write a build'));
+  }
+
+  const {records, nodes, sourceRoot, rootUrl} = state;
+
+  // Only the records that are reachable from the entry points are written.
+  // Note: the bootstrap runtime is inlined into the injection script
+  const names = resolveExecutionOrder(nodes, entryPoints);
+  const {styles, scripts} = resolveRecordInjection(records, nodes, entryPoints);
+
+  return Promise.all(
+    names.map(name => writeRecord(state, records.get(name), outputDir, rootUrl))
+  )
+    .then(() => readStream(createRecordInjectionStream(build, {entryPoints})))
+    .then(injectionScript => {
+      const hash = new Murmur(injectionScript).result();
+      const injectionFilename = `unfort-${hash}.js`;
+
+      // Besides the injection script, we expose the stylesheets and scripts
+      // in execution order, so that pages can render the elements directly
+      const manifest = {
+        url: rootUrl + injectionFilename,
+        entryPoints: entryPoints.map(name => describeSourceName(name, sourceRoot)),
+        styles: styles.map(obj => obj.url),
+        scripts: scripts.map(obj => obj.url),
+        records: {}
+      };
+
+      names.forEach(name => {
+        manifest.records[describeSourceName(name, sourceRoot)] = records.get(name).data.url;
+      });
+
+      return Promise.all([
+        writeFile(path.join(outputDir, injectionFilename), injectionScript),
+        writeFile(path.join(outputDir, manifestFilename), JSON.stringify(manifest, null, 2))
+      ])
+        .then(() => manifest);
+    });
+}
+
+/**
+ * Writes a record's content to the path that its url points to
+ *
+ * @param {Record} state
+ * @param {Record} record
+ * @param {string} outputDir
+ * @param {string} rootUrl
+ * @returns {Promise}
+ */
+function writeRecord(state, record, outputDir, rootUrl) {
+  const {url, isTextFile, assetKind, content, sourceMapUrl} = record.data;
+
+  if (!startsWith(url, rootUrl)) {
+    return Promise.reject(
+      new Error(`Record "${record.name}" has a url "${url}" that does not start with the root url "${rootUrl}"`)
+    );
+  }
+
+  const outputFile = path.join(outputDir, url.slice(rootUrl.length));
+
+  return ensureDirectory(path.dirname(outputFile))
+    .then(() => {
+      if (!isTextFile) {
+        return copyFile(record.name, outputFile);
+      }
+
+      if (assetKind === 'document') {
+        return writeFile(outputFile, createHtmlDocument(state, record.name));
+      }
+
+      const {sourceMap, sourceMapAnnotation} = resolveSourceMap(state, record);
+
+      let text = content;
+      if (sourceMapAnnotation) {
+        text += sourceMapAnnotation;
+      }
+
+      if (sourceMapUrl) {
+        return Promise.all([
+          writeFile(outputFile, text),
+          writeFile(outputFile + '.map', sourceMap)
+        ]);
+      }
+
+      return writeFile(outputFile, text);
+    });
+}
+
+/**
+ * Resolves the source map of a record and its annotation, with any
+ * `file://` sources made relative to the source root
+ *
+ * @param {Record} state
+ * @param {Record} record
+ * @returns {{sourceMap: string, sourceMapAnnotation: string}}
+ */
+function resolveSourceMap(state, record) {
+  const {sourceMap, sourceMapUrl, sourceMapAnnotation} = record.data;
+
+  // Maps that were relocated to a `sourceRootUrl` are left as they are
+  if (!sourceMap || state.sourceRootUrl) {
+    return {sourceMap, sourceMapAnnotation};
+  }
+
+  const relativeSourceMap = relativizeSourceMapSources(sourceMap, state.sourceRoot);
+
+  // Inlined source maps are embedded in the annotation as base64
+  if (sourceMapAnnotation && !sourceMapUrl) {
+    return {
+      sourceMap: relativeSourceMap,
+      sourceMapAnnotation: sourceMapAnnotation.replace(
+        Buffer.from(sourceMap).toString('base64'),
+        Buffer.from(relativeSourceMap).toString('base64')
+      )
+    };
+  }
+
+  return {sourceMap: relativeSourceMap, sourceMapAnnotation};
+}
+
+/**
+ * Rewrites the `file://` sources of a source map to paths relative to
+ * `sourceRoot`. Any other sources are left untouched
+ *
+ * @param {string} sourceMap
+ * @param {string} sourceRoot
+ * @returns {string}
+ */
+function relativizeSourceMapSources(sourceMap, sourceRoot) {
+  const map = JSON.parse(sourceMap);
+
+  map.sources = map.sources.map(source => {
+    if (!startsWith(source, 'file://')) {
+      return source;
+    }
+
+    // Note: the hash that prevents browsers from caching the source is preserved
+    const file = source.slice('file://'.length);
+    return path.relative(sourceRoot, file).split(path.sep).join('/');
+  });
+
+  return JSON.stringify(map);
+}
+
+/**
+ * Produces a name relative to the source root, so that manifests are
+ * portable between machines
+ *
+ * @param {string} name
+ * @param {string} sourceRoot
+ * @returns {string}
+ */
+function describeSourceName(name, sourceRoot) {
+  if (startsWith(name, sourceRoot)) {
+    return path.relative(sourceRoot, name).split(path.sep).join('/');
+  }
+  return name;
+}
+
+function ensureDirectory(dirname) {
+  return new Promise((resolve, reject) => {
+    mkdirp(dirname, err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+function copyFile(source, destination) {
+  return new Promise((resolve, reject) => {
+    const readStream = fs.createReadStream(source);
+    const writeStream = fs.createWriteStream(destination);
+
+    readStream.on('error', reject);
+    writeStream.on('error', reject);
+    writeStream.on('finish', resolve);
+
+    readStream.pipe(writeStream);
+  });
+}
+
+/**
+ * Consumes a readable stream and resolves to its textual content
+ *
+ * @param {stream.Readable} stream
+ * @returns {Promise}
+ */
+export function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk.toString()));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(chunks.join('')));
+  });
+}
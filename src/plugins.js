@@ -0,0 +1,104 @@
+/**
+ * The hooks that plugins can define. Each hook is called with the build's
+ * current state, followed by any data specific to the hook:
+ *
+ *  - `buildStarted(state)`: the graph has started tracing
+ *  - `fileChanged(state, file)`: a file has changed and is being retraced
+ *  - `traceCompleted(state, {nodes, errors})`: the graph has been traced
+ *  - `recordReady(state, record)`: a record's `ready` job has completed
+ *  - `codeGenerationCompleted(state, {records})`: every record is ready
+ *  - `buildCompleted(state, {prunedNodes, prevRecords})`: the build's
+ *    records have been committed to the state
+ *  - `buildFailed(state, errors)`: the build was blocked by errors
+ */
+export const PLUGIN_HOOKS = [
+  'buildStarted',
+  'fileChanged',
+  'traceCompleted',
+  'recordReady',
+  'codeGenerationCompleted',
+  'buildCompleted',
+  'buildFailed'
+];
+
+/**
+ * Checks that each plugin is an object that only defines known hooks,
+ * an optional `name` and an optional `jobs` function
+ *
+ * @param {array} plugins
+ */
+export function validatePlugins(plugins) {
+  plugins.forEach((plugin, i) => {
+    const name = describePlugin(plugin, i);
+
+    if (!plugin || typeof plugin !== 'object') {
+      throw new Error(`${name} must be an object`);
+    }
+
+    Object.keys(plugin).forEach(key => {
+      if (key === 'name') {
+        return;
+      }
+
+      if (key !== 'jobs' && PLUGIN_HOOKS.indexOf(key) === -1) {
+        throw new Error(
+          `${name} defines an unknown hook "${key}". Available hooks: ${PLUGIN_HOOKS.join(', ')}`
+        );
+      }
+
+      if (typeof plugin[key] !== 'function') {
+        throw new Error(`${name} defines "${key}", which must be a function`);
+      }
+    });
+  });
+}
+
+/**
+ * Applies the job overrides of each plugin, in order. As with `extendJobs`,
+ * a plugin's `jobs` function is called with the current jobs and should
+ * return an object of overrides
+ *
+ * @param {object} jobs
+ * @param {array} plugins
+ * @returns {object}
+ */
+export function applyPluginJobs(jobs, plugins) {
+  return plugins
+    .filter(plugin => plugin.jobs)
+    .reduce(
+      (currentJobs, plugin) => Object.assign({}, currentJobs, plugin.jobs(currentJobs)),
+      jobs
+    );
+}
+
+/**
+ * Calls a hook on every plugin that defines it.
+ *
+ * Plugins are isolated from the build, so any errors thrown by a hook
+ * are passed to `onError` rather than propagated
+ *
+ * @param {array} plugins
+ * @param {string} hook
+ * @param {array} args
+ * @param {function} onError - called with the error and a description of the plugin
+ */
+export function callPluginHook(plugins, hook, args, onError) {
+  plugins.forEach((plugin, i) => {
+    if (!plugin[hook]) {
+      return;
+    }
+
+    try {
+      plugin[hook](...args);
+    } catch (err) {
+      onError(err, `${describePlugin(plugin, i)} failed during \`${hook}\``);
+    }
+  });
+}
+
+function describePlugin(plugin, i) {
+  if (plugin && plugin.name) {
+    return `Plugin "${plugin.name}"`;
+  }
+  return `Plugin ${i}`;
+}
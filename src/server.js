@@ -0,0 +1,428 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import url from 'url';
+import socketIo from 'socket.io';
+import stripAnsi from 'strip-ansi';
+import {escape, startsWith} from 'lodash/string';
+import {pull} from 'lodash/array';
+import {find} from 'lodash/collection';
+import {createRecordInjectionStream, createRecordEvalStream} from './streams';
+import {createHtmlDocument} from './html';
+
+/**
+ * Creates a connect-style middleware that serves a build's records.
+ *
+ * Requests are held until the build has completed, so that the
+ * responses always reflect the latest state of the files. If the
+ * build failed, the errors are described in the response.
+ *
+ * Requests to `bundleUrl` receive a script that injects the entry
+ * points. Adding `?chunks` to the url concatenates the module
+ * definitions into chunks, rather than evaluating each record.
+ * Adding `?group=<name>` only injects the entry points of the named
+ * entry group.
+ *
+ * Requests that start with `fileEndpoint` are mapped onto the `url`
+ * of a record or chunk.
+ *
+ * If the build defines a `sourceRootUrl`, requests that start with its
+ * path are mapped onto the original sources of the records, so that
+ * source maps can be used by browsers on other machines. Any other
+ * requests are passed to `next`
+ *
+ * @param {object} build - an object representing a build
+ * @param {object} [options]
+ * @param {string} [options.fileEndpoint] - the path that records are served from
+ * @param {string} [options.bundleUrl] - the path that the injection script is served from
+ * @returns {function}
+ */
+export function createMiddleware(build, options={}) {
+  const {
+    fileEndpoint = '/__file__/',
+    bundleUrl = '/bundle.js'
+  } = options;
+
+  // Parsing the records' source maps is expensive, so the files that they
+  // point to are only resolved once for each set of records
+  let sourceMapFiles = null;
+  let sourceMapFilesRecords = null;
+
+  function getSourceMapFiles(state) {
+    if (state.records !== sourceMapFilesRecords) {
+      sourceMapFiles = resolveSourceMapFiles(state);
+      sourceMapFilesRecords = state.records;
+    }
+    return sourceMapFiles;
+  }
+
+  return function unfortMiddleware(req, res, next) {
+    const {pathname, query} = url.parse(req.url, true);
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    if (pathname === bundleUrl) {
+      return build.onCompleted(() => {
+        if (build.hasErrors()) {
+          return sendBuildErrors(build, req, res);
+        }
+
+        const entryGroup = query.group;
+
+        let stream;
+        try {
+          if (query.chunks === undefined) {
+            stream = createRecordEvalStream(build, {entryGroup});
+          } else {
+            stream = createRecordInjectionStream(build, {chunks: true, entryGroup});
+          }
+        } catch (err) {
+          return sendError(res, 404, err.message);
+        }
+
+        res.setHeader('Content-Type', 'application/javascript');
+        sendStream(stream, res);
+      });
+    }
+
+    if (startsWith(pathname, fileEndpoint)) {
+      return build.onCompleted(() => {
+        if (build.hasErrors()) {
+          return sendBuildErrors(build, req, res);
+        }
+
+        const relUrl = decodeURIComponent(pathname.slice(fileEndpoint.length));
+        sendFile(build.getState(), relUrl, res);
+      });
+    }
+
+    const sourceEndpoint = resolveSourceEndpoint(build.getState());
+    if (sourceEndpoint && startsWith(pathname, sourceEndpoint)) {
+      return build.onCompleted(() => {
+        const state = build.getState();
+        const relPath = decodeURIComponent(pathname.slice(sourceEndpoint.length));
+        sendSource(state, getSourceMapFiles(state), relPath, res);
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Creates a web server that serves a build's records and connects
+ * the hot runtime's sockets to the build.
+ *
+ * If the build does not define a `rootUrl`, one is generated from the
+ * server's address and `fileEndpoint`. As the urls of records are
+ * generated during the build, this should be called before the build
+ * is started.
+ *
+ * The root path redirects to the first HTML entry point. If there are no
+ * HTML entry points, it responds with a document that loads the entry
+ * points from `bundleUrl`.
+ *
+ * @param {object} build - an object representing a build
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.hostname]
+ * @param {string} [options.fileEndpoint] - see `createMiddleware`
+ * @param {string} [options.bundleUrl] - see `createMiddleware`
+ * @returns {http.Server} a server that is listening on `port` and `hostname`
+ */
+export function createServer(build, options={}) {
+  const {
+    port = 3000,
+    hostname = '127.0.0.1',
+    fileEndpoint = '/__file__/',
+    bundleUrl = '/bundle.js'
+  } = options;
+
+  const middleware = createMiddleware(build, {fileEndpoint, bundleUrl});
+
+  const server = http.createServer((req, res) => {
+    middleware(req, res, () => {
+      if (url.parse(req.url).pathname === '/') {
+        const page = find(build.getState().entryPoints, file => path.extname(file) === '.html');
+        if (page) {
+          return redirectToRecord(build, page, req, res);
+        }
+
+        res.setHeader('Content-Type', 'text/html');
+        return res.end(createDocument(bundleUrl));
+      }
+
+      sendNotFound(res);
+    });
+  });
+
+  // Connected browsers are added to the sockets that the build
+  // signals, alongside any that were already configured
+  const sockets = [];
+  const io = socketIo(server);
+  io.on('connection', socket => {
+    sockets.push(socket);
+    socket.on('disconnect', () => {
+      pull(sockets, socket);
+    });
+  });
+
+  let state = build.getState();
+  const getSockets = state.getSockets;
+  state = state.set('getSockets', () => getSockets().concat(sockets));
+  if (!state.rootUrl) {
+    state = state.set('rootUrl', `http://${hostname}:${port}${fileEndpoint}`);
+  }
+  build.setState(state);
+
+  server.listen(port, hostname);
+
+  return server;
+}
+
+/**
+ * Responds with the content of the record or chunk that matches a url.
+ *
+ * Text records are served with their source map annotations, and any
+ * external source maps are served from their own urls. Meanwhile,
+ * binary records are streamed from their original location. HTML
+ * documents are rewritten to load the records that they refer to
+ *
+ * @param {Record} state
+ * @param {string} relUrl - the url relative to the build's `rootUrl`
+ * @param {object} res
+ */
+function sendFile(state, relUrl, res) {
+  const fileUrl = state.rootUrl + relUrl;
+
+  const chunk = state.chunksByUrl && state.chunksByUrl.get(fileUrl);
+  if (chunk) {
+    if (fileUrl === chunk.sourceMapUrl) {
+      return sendSourceMap(chunk.sourceMap, res);
+    }
+    res.setHeader('Content-Type', 'application/javascript');
+    return res.end(chunk.content + chunk.sourceMapAnnotation);
+  }
+
+  const record = state.recordsByUrl && state.recordsByUrl.get(fileUrl);
+  if (!record) {
+    return sendNotFound(res);
+  }
+
+  const {mimeType, isTextFile, content, sourceMapUrl, sourceMap, sourceMapAnnotation} = record.data;
+
+  if (fileUrl === sourceMapUrl) {
+    return sendSourceMap(sourceMap, res);
+  }
+
+  if (mimeType) {
+    res.setHeader('Content-Type', mimeType);
+  }
+
+  if (record.data.assetKind === 'document') {
+    return res.end(createHtmlDocument(state, record.name));
+  }
+
+  if (!isTextFile) {
+    return sendStream(fs.createReadStream(record.name), res);
+  }
+
+  res.write(content);
+  if (sourceMapAnnotation) {
+    res.write(sourceMapAnnotation);
+  }
+  res.end();
+}
+
+/**
+ * Resolves the path that original sources are served from, which is the
+ * path of the build's `sourceRootUrl`, so that the source maps always
+ * point at the server
+ *
+ * @param {Record} state
+ * @returns {string|null}
+ */
+function resolveSourceEndpoint(state) {
+  if (!state.sourceRootUrl) {
+    return null;
+  }
+  return url.parse(state.sourceRootUrl).pathname;
+}
+
+/**
+ * Resolves a path to an original source in the same manner as the
+ * source maps of the records. Paths are resolved from the `sourceRoot`,
+ * unless they are absolute.
+ *
+ * @param {Record} state
+ * @param {string} relPath
+ * @returns {string}
+ */
+function resolveSourcePath(state, relPath) {
+  return path.isAbsolute(relPath) ? relPath : path.join(state.sourceRoot, relPath);
+}
+
+/**
+ * Resolves the files that the source maps of the build's records point
+ * to. These include the sources of any maps that were composed into the
+ * records' maps, such as those of pre-compiled packages
+ *
+ * @param {Record} state
+ * @returns {object} a map of paths to `true`
+ */
+function resolveSourceMapFiles(state) {
+  const files = Object.create(null);
+
+  if (state.records) {
+    state.records.forEach(record => {
+      const {sourceMap} = record.data;
+      if (sourceMap) {
+        JSON.parse(sourceMap).sources.forEach(source => {
+          // Remove the hashes that prevent browsers from caching the sources
+          files[resolveSourcePath(state, source.split('?')[0])] = true;
+        });
+      }
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Responds with the original content of a file that the build's records
+ * were generated from.
+ *
+ * Only the files that the build knows of, or that the records' source
+ * maps point to, are served, so that the rest of the file system is not
+ * exposed
+ *
+ * @param {Record} state
+ * @param {object} sourceMapFiles - see `resolveSourceMapFiles`
+ * @param {string} relPath
+ * @param {object} res
+ */
+function sendSource(state, sourceMapFiles, relPath, res) {
+  const file = resolveSourcePath(state, relPath);
+
+  const isKnownFile = (
+    (state.records && state.records.has(file)) ||
+    (state.recordsByFileDependencies && state.recordsByFileDependencies.has(file)) ||
+    sourceMapFiles[file] === true
+  );
+  if (!isKnownFile) {
+    return sendNotFound(res);
+  }
+
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  sendStream(fs.createReadStream(file), res);
+}
+
+function sendSourceMap(sourceMap, res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(sourceMap);
+}
+
+function redirectToRecord(build, name, req, res) {
+  build.onCompleted(() => {
+    if (build.hasErrors()) {
+      return sendBuildErrors(build, req, res);
+    }
+
+    const record = build.getState().records.get(name);
+    if (!record) {
+      return sendNotFound(res);
+    }
+
+    res.statusCode = 302;
+    res.setHeader('Location', record.data.url);
+    res.end();
+  });
+}
+
+function sendBuildErrors(build, req, res) {
+  const message = stripAnsi(build.describeErrors());
+
+  // Browsers that are navigating to a file receive a readable page,
+  // while scripts and stylesheets receive the plain text
+  const accept = req.headers.accept || '';
+  if (accept.indexOf('text/html') !== -1) {
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'text/html');
+    return res.end(createErrorPage(message));
+  }
+
+  sendError(res, 500, message);
+}
+
+function sendNotFound(res) {
+  sendError(res, 404, 'Not Found');
+}
+
+/**
+ * Pipes a stream to the response. If the stream fails after the headers
+ * have been sent, the error can no longer be described in the response,
+ * so the response is destroyed instead
+ *
+ * @param {stream.Readable} stream
+ * @param {object} res
+ */
+function sendStream(stream, res) {
+  stream.on('error', err => {
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      sendError(res, 500, err.stack);
+    }
+  });
+  stream.pipe(res);
+}
+
+function sendError(res, statusCode, message) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/plain');
+  res.end(message);
+}
+
+/**
+ * Produces a minimal document that loads the build's entry points
+ *
+ * @param {string} bundleUrl
+ * @returns {string}
+ */
+export function createDocument(bundleUrl) {
+  return [
+    '<!doctype html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '</head>',
+    '<body>',
+    `  <script src="${escape(bundleUrl)}"></script>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+/**
+ * Produces a document that describes the errors of a failed build
+ *
+ * @param {string} message
+ * @returns {string}
+ */
+export function createErrorPage(message) {
+  return [
+    '<!doctype html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <title>Build failed</title>',
+    '</head>',
+    '<body>',
+    '  <h1>Build failed</h1>',
+    `  <pre>${escape(message)}</pre>`,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
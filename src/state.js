@@ -1,5 +1,7 @@
 import path from 'path';
 import imm from 'immutable';
+import {union} from 'lodash/array';
+import {createFileTypes} from './file-types';
 
 export const bootstrapRuntime = require.resolve('../runtimes/bootstrap');
 export const hotRuntime = require.resolve('../runtimes/hot');
@@ -18,6 +20,10 @@ export const State = imm.Record({
 
   // The dependency graph's entry points
   entryPoints: null,
+  // A map of names to arrays of entry points, which enables pages to inject
+  // a subset of the entry points by name. Any entry points in the groups are
+  // added to `entryPoints`
+  entryGroups: null,
   // The root of your project
   sourceRoot: null,
   // The root `node_modules` directory that your modules are pulled from
@@ -30,6 +36,29 @@ export const State = imm.Record({
   vendorRoot,
   rootUrl: null,
   getSockets: null,
+  // Indicates if stylesheets should be treated as CSS Modules
+  cssModules: false,
+  // Indicates if source maps should be served from separate `.map` urls,
+  // rather than inlined into each record
+  externalSourceMaps: false,
+  // The url that original sources are served from, eg: '/__source__/'. If
+  // defined, source maps refer to their sources by paths relative to
+  // `sourceRoot`, rather than by their `file://` urls
+  sourceRootUrl: null,
+  // Indicates if source maps should embed the content of their sources
+  sourcesContent: false,
+  // A map of file extensions to the `FileType` objects that describe how
+  // their records are handled. Any provided are merged with the defaults
+  fileTypes: null,
+  // An array of plugins that override jobs and hook into the build's
+  // lifecycle, see `plugins.js`
+  plugins: null,
+  // Indicates if the module definitions should be concatenated into chunks
+  // for the entry points and each entry group when the build completes
+  chunks: false,
+  // The maximum number of records in each chunk. If null, the records of
+  // each set of entry points are placed in a single chunk
+  maxRecordsPerChunk: null,
 
 
   // ================
@@ -85,7 +114,10 @@ export const State = imm.Record({
   // Used to map the `url` job to a specific record
   recordsByUrl: null,
   // Used to map the `fileDependencies` job to one or more records
-  recordsByFileDependencies: null
+  recordsByFileDependencies: null,
+  // Used to map the urls of chunks generated from the build to the chunks.
+  // Only populated if the `chunks` option is enabled
+  chunksByUrl: null
 });
 
 /**
@@ -116,5 +148,19 @@ export function createState(overrides={}) {
     state = state.set('entryPoints', []);
   }
 
+  if (state.entryGroups) {
+    let entryPoints = state.entryPoints;
+    Object.keys(state.entryGroups).forEach(name => {
+      entryPoints = union(entryPoints, state.entryGroups[name]);
+    });
+    state = state.set('entryPoints', entryPoints);
+  }
+
+  if (!state.plugins) {
+    state = state.set('plugins', []);
+  }
+
+  state = state.set('fileTypes', createFileTypes(state.fileTypes || undefined));
+
   return state;
 }
@@ -1,5 +1,6 @@
 import {Readable} from 'stream';
-import {resolveExecutionOrder} from 'cyclic-dependency-graph';
+import {resolveChunks} from './chunks';
+import {resolveSyncExecutionOrder, resolveAsyncModules, createRecordDescription} from './utils';
 
 export function createBootstrapStream(build) {
   const state = build.getState();
@@ -27,44 +28,46 @@ export function createBootstrapStream(build) {
 }
 
 /**
- * Creates a readable stream that injects urls to all the necessary files
- * for the entry points
+ * Resolves the assets that must be injected into a document to
+ * execute the specified entry points.
  *
- * @param {object} build - an object representing a build
- * @param {object} [options]
- * @param {array} [options.entryPoints] - an array of entry points to inject.
- *   If not provided, all entry points will be injected.
+ * Records are traversed in execution order, so that the CSS cascade
+ * and the order of module definitions are preserved. Non-JS records
+ * are represented by their shim module definitions, which are injected
+ * inline.
+ *
+ * Async dependencies are left out, the runtime is instead informed of
+ * where it can fetch them from
+ *
+ * @param {immutable.Map} records
+ * @param {immutable.Map} nodes
+ * @param {array} entryPoints
+ * @returns {{styles: array, scripts: array, inlineScripts: array}}
  */
-export function createRecordInjectionStream(build, options={}) {
-  const state = build.getState();
-
-  const {
-    records, nodes
-  } = state;
-
-  const {
-    entryPoints = state.entryPoints
-  } = options;
-
-  const stream = createBootstrapStream(build);
+export function resolveRecordInjection(records, nodes, entryPoints) {
   const styles = [];
   const scripts = [];
   const inlineScripts = [];
 
   // Traverse the graph from the entry points and resolve an
   // execution order that will preserve the CSS cascade
-  const executionOrder = resolveExecutionOrder(nodes, entryPoints);
+  const executionOrder = resolveSyncExecutionOrder(records, nodes, entryPoints);
+
+  const asyncModulesDefinition = createAsyncModulesDefinition(records, nodes, entryPoints);
+  if (asyncModulesDefinition) {
+    inlineScripts.push(asyncModulesDefinition);
+  }
 
   executionOrder.forEach(name => {
     const record = records.get(name);
 
-    const {url, ext, moduleDefinition} = record.data;
+    const {url, assetKind, moduleDefinition} = record.data;
 
-    if (ext === '.css') {
+    if (assetKind === 'style') {
       styles.push({url, name});
     }
 
-    if (ext === '.js' || ext === '.json') {
+    if (assetKind === 'script') {
       scripts.push({url, name});
     } else {
       inlineScripts.push(moduleDefinition);
@@ -77,6 +80,56 @@ export function createRecordInjectionStream(build, options={}) {
     );
   });
 
+  return {styles, scripts, inlineScripts};
+}
+
+/**
+ * Creates a readable stream that injects urls to all the necessary files
+ * for the entry points
+ *
+ * @param {object} build - an object representing a build
+ * @param {object} [options]
+ * @param {array} [options.entryPoints] - an array of entry points to inject.
+ *   If not provided, all entry points will be injected.
+ * @param {string} [options.entryGroup] - the name of an entry group to inject,
+ *   rather than an array of entry points
+ * @param {boolean} [options.chunks] - if true, the chunks that the build generated
+ *   will be injected, rather than each record. See `createChunksByUrl`
+ */
+export function createRecordInjectionStream(build, options={}) {
+  const state = build.getState();
+
+  const {
+    records, nodes
+  } = state;
+
+  const {
+    chunks = false
+  } = options;
+
+  const entryPoints = resolveEntryPoints(state, options);
+
+  const stream = createBootstrapStream(build);
+  pushEntryGroup(stream, options.entryGroup);
+
+  const injection = resolveRecordInjection(records, nodes, entryPoints);
+  const styles = injection.styles;
+  let {scripts, inlineScripts} = injection;
+
+  if (chunks) {
+    const chunkList = resolveChunks(state, entryPoints);
+
+    // The chunks contain every module definition, so we only need to
+    // register the async modules and execute the entry points
+    scripts = chunkList.map(chunk => ({url: chunk.url, name: chunk.name}));
+    inlineScripts = entryPoints.map(file => `__modules.executeModule(${JSON.stringify(file)});`);
+
+    const asyncModulesDefinition = createAsyncModulesDefinition(records, nodes, entryPoints);
+    if (asyncModulesDefinition) {
+      inlineScripts.unshift(asyncModulesDefinition);
+    }
+  }
+
   stream.push('(function() {\n');
 
   stream.push('  var styles = [\n');
@@ -138,6 +191,94 @@ export function createRecordInjectionStream(build, options={}) {
   return stream;
 }
 
+/**
+ * Creates a readable stream that loads all the necessary files for the
+ * entry points without blocking the page.
+ *
+ * Unlike `createRecordInjectionStream`, the stream does not rely on
+ * `document.write`, so it can be used after the page has loaded. Scripts
+ * are added as `async=false` elements, which enables the browser to fetch
+ * them in parallel while preserving their order of execution.
+ *
+ * Once every record has been loaded, the `__modules.ready` promise
+ * resolves and the entry points are executed
+ *
+ * @param {object} build - an object representing a build
+ * @param {object} [options]
+ * @param {array} [options.entryPoints] - an array of entry points to load.
+ *   If not provided, all entry points will be loaded.
+ * @param {string} [options.entryGroup] - the name of an entry group to load,
+ *   rather than an array of entry points
+ * @param {boolean} [options.chunks] - if true, the chunks that the build generated
+ *   will be loaded, rather than each record. See `createChunksByUrl`
+ */
+export function createRecordLoaderStream(build, options={}) {
+  const state = build.getState();
+
+  const {
+    records, nodes
+  } = state;
+
+  const {
+    chunks = false
+  } = options;
+
+  const entryPoints = resolveEntryPoints(state, options);
+
+  const stream = createBootstrapStream(build);
+  pushEntryGroup(stream, options.entryGroup);
+
+  let recordsToLoad = resolveSyncExecutionOrder(records, nodes, entryPoints)
+    .map(name => createRecordDescription(records.get(name)));
+
+  if (chunks) {
+    const chunkList = resolveChunks(state, entryPoints);
+
+    // The chunks contain every module definition, so we only need to
+    // load the stylesheets separately
+    recordsToLoad = recordsToLoad
+      .filter(record => record.assetKind === 'style')
+      .concat(
+        chunkList.map(chunk => ({name: chunk.name, url: chunk.url, assetKind: 'script'}))
+      );
+  }
+
+  stream.push('(function() {\n');
+
+  const asyncModulesDefinition = createAsyncModulesDefinition(records, nodes, entryPoints);
+  if (asyncModulesDefinition) {
+    stream.push('  ');
+    stream.push(asyncModulesDefinition);
+    stream.push('\n');
+  }
+
+  stream.push('  var records = [\n');
+  recordsToLoad.forEach(record => {
+    stream.push('    ');
+    stream.push(JSON.stringify(record));
+    stream.push(',\n');
+  });
+  stream.push('  ];\n');
+
+  stream.push(`  var entryPoints = ${JSON.stringify(entryPoints)};\n`);
+
+  stream.push(`\
+  __modules.ready = Promise.all(records.map(__modules.loadRecord));
+
+  __modules.ready.then(function() {
+    entryPoints.forEach(function(name) {
+      __modules.executeModule(name);
+    });
+  });
+})();
+`);
+
+  // Signal the end of the stream
+  stream.push(null);
+
+  return stream;
+}
+
 /**
  * Creates a readable stream that uses eval on JS & JSON records and injects urls
  * to stylesheets.
@@ -146,17 +287,18 @@ export function createRecordInjectionStream(build, options={}) {
  * @param {object} [options]
  * @param {array} [options.entryPoints] - an array of entry points to inject.
  *   If not provided, all entry points will be injected.
+ * @param {string} [options.entryGroup] - the name of an entry group to inject,
+ *   rather than an array of entry points
  */
 export function createRecordEvalStream(build, options={}) {
   const state = build.getState();
 
   const {records, nodes} = state;
 
-  const {
-    entryPoints = state.entryPoints
-  } = options;
+  const entryPoints = resolveEntryPoints(state, options);
 
   const stream = createBootstrapStream(build);
+  pushEntryGroup(stream, options.entryGroup);
 
   stream.push(`(function() {
 
@@ -168,16 +310,21 @@ export function createRecordEvalStream(build, options={}) {
     document.head.appendChild(element);
   }\n`);
 
+  const asyncModulesDefinition = createAsyncModulesDefinition(records, nodes, entryPoints);
+  if (asyncModulesDefinition) {
+    stream.push(`  ${asyncModulesDefinition}\n`);
+  }
+
   // Traverse the graph from the entry points and resolve an
   // execution order that will preserve the CSS cascade
-  const executionOrder = resolveExecutionOrder(nodes, entryPoints);
+  const executionOrder = resolveSyncExecutionOrder(records, nodes, entryPoints);
 
   executionOrder.forEach(name => {
     const record = records.get(name);
 
-    const {url, ext, moduleDefinition, sourceMapAnnotation} = record.data;
+    const {url, assetKind, moduleDefinition, sourceMapAnnotation} = record.data;
 
-    if (ext === '.js' || ext === '.json') {
+    if (assetKind === 'script') {
       stream.push(`  // ${record.name}\n`);
       stream.push('  eval(');
       const script = sourceMapAnnotation ?
@@ -186,7 +333,7 @@ export function createRecordEvalStream(build, options={}) {
       stream.push(JSON.stringify(script));
       stream.push(');\n');
     } else {
-      if (ext === '.css') {
+      if (assetKind === 'style') {
         stream.push(`  // ${name}\n`);
         stream.push(`  addStylesheet("${url}", "${name}");\n`);
       }
@@ -212,3 +359,58 @@ export function createRecordEvalStream(build, options={}) {
 
   return stream;
 }
+
+/**
+ * Produces a script that informs the runtime of the async dependencies
+ * reachable from the entry points, or null if there are none
+ *
+ * @param {immutable.Map} records
+ * @param {immutable.Map} nodes
+ * @param {array} entryPoints
+ * @returns {string|null}
+ */
+function createAsyncModulesDefinition(records, nodes, entryPoints) {
+  const asyncModules = resolveAsyncModules(records, nodes, entryPoints);
+
+  if (!Object.keys(asyncModules).length) {
+    return null;
+  }
+
+  return `__modules.registerAsyncModules(${JSON.stringify(asyncModules)});`;
+}
+
+/**
+ * Resolves the entry points that a stream should inject, either from the
+ * `entryPoints` or `entryGroup` options, or all of the build's entry points
+ *
+ * @param {Record} state
+ * @param {object} options
+ * @returns {array}
+ */
+export function resolveEntryPoints(state, {entryPoints, entryGroup}) {
+  if (entryGroup === undefined) {
+    return entryPoints || state.entryPoints;
+  }
+
+  const entryGroups = state.entryGroups || {};
+  if (!entryGroups[entryGroup]) {
+    throw new Error(
+      `Unknown entry group "${entryGroup}". Available groups: ${JSON.stringify(Object.keys(entryGroups))}`
+    );
+  }
+
+  return entryGroups[entryGroup];
+}
+
+/**
+ * Informs the runtimes of the entry group that a page was built from, so
+ * that the hot runtime can ignore records which are only used by other groups
+ *
+ * @param {stream.Readable} stream
+ * @param {string} [entryGroup]
+ */
+function pushEntryGroup(stream, entryGroup) {
+  if (entryGroup !== undefined) {
+    stream.push(`__modules.entryGroup = ${JSON.stringify(entryGroup)};\n`);
+  }
+}
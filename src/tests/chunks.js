@@ -0,0 +1,168 @@
+import imm from 'immutable';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
+import {createState} from '../state';
+import {createChunks, createChunksByUrl, resolveChunks, addChunksToState} from '../chunks';
+import {assert} from './assert';
+
+describe('unfort/chunks', () => {
+  function createTestState(overrides={}) {
+    return createState(Object.assign({
+      rootUrl: '/static/',
+      bootstrapRuntime: 'bootstrap.js',
+      entryPoints: ['a.js'],
+      nodes: createNodesFromNotation(`
+        a.js -> b.js -> c.css
+        a.js -> d.js
+      `),
+      records: imm.Map({
+        'a.js': {
+          name: 'a.js',
+          data: {
+            assetKind: 'script',
+            hash: '1',
+            moduleDefinition: 'a line 1\na line 2',
+            sourceMap: JSON.stringify({version: 3, mappings: ';AAAA'})
+          }
+        },
+        'b.js': {
+          name: 'b.js',
+          data: {
+            assetKind: 'script',
+            hash: '2',
+            moduleDefinition: 'b line 1\nb line 2\nb line 3',
+            sourceMap: JSON.stringify({version: 3, mappings: ';AACA'})
+          }
+        },
+        'c.css': {
+          name: 'c.css',
+          data: {
+            assetKind: 'style',
+            hash: '3',
+            moduleDefinition: 'c line 1',
+            sourceMap: 'stylesheet map'
+          }
+        },
+        'd.js': {
+          name: 'd.js',
+          data: {
+            assetKind: 'script',
+            hash: '4',
+            moduleDefinition: 'd line 1',
+            sourceMap: null
+          }
+        }
+      })
+    }, overrides));
+  }
+
+  describe('#createChunks', () => {
+    it('should concatenate module definitions in execution order', () => {
+      const chunks = createChunks(createTestState());
+      assert.equal(chunks.length, 1);
+      assert.deepEqual(chunks[0].records, ['c.css', 'b.js', 'd.js', 'a.js']);
+      assert.equal(
+        chunks[0].content,
+        'c line 1\nb line 1\nb line 2\nb line 3\nd line 1\na line 1\na line 2'
+      );
+    });
+    it('should produce an index source map with sections offset for each js record', () => {
+      const chunk = createChunks(createTestState())[0];
+      assert.deepEqual(JSON.parse(chunk.sourceMap), {
+        version: 3,
+        file: chunk.url,
+        sections: [
+          {offset: {line: 1, column: 0}, map: {version: 3, mappings: ';AACA'}},
+          {offset: {line: 5, column: 0}, map: {version: 3, mappings: ';AAAA'}}
+        ]
+      });
+      assert.equal(
+        chunk.sourceMapAnnotation,
+        '\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,' +
+          Buffer.from(chunk.sourceMap).toString('base64')
+      );
+    });
+    it('should produce urls that reflect the hashes of the records', () => {
+      const chunk1 = createChunks(createTestState())[0];
+      const state = createTestState();
+      const record = state.records.get('d.js');
+      const chunk2 = createChunks(
+        state.set('records', state.records.set('d.js', {
+          name: record.name,
+          data: Object.assign({}, record.data, {hash: '5'})
+        }))
+      )[0];
+      assert.match(chunk1.url, /^\/static\/unfort-chunk-\d+\.js$/);
+      assert.notEqual(chunk1.url, chunk2.url);
+    });
+    it('should respect `maxRecordsPerChunk`', () => {
+      const chunks = createChunks(createTestState(), {maxRecordsPerChunk: 3});
+      assert.equal(chunks.length, 2);
+      assert.deepEqual(chunks[0].records, ['c.css', 'b.js', 'd.js']);
+      assert.deepEqual(chunks[1].records, ['a.js']);
+    });
+    it('should reuse chunks that have already been generated', () => {
+      const state = createTestState();
+      const chunks = createChunks(state);
+      const updatedState = addChunksToState(state, chunks);
+      assert.strictEqual(createChunks(updatedState)[0], chunks[0]);
+    });
+  });
+  describe('#createChunksByUrl', () => {
+    it('should generate chunks for the entry points and each entry group', () => {
+      const state = createTestState({
+        entryGroups: {
+          b: ['b.js']
+        }
+      });
+      const chunksByUrl = createChunksByUrl(state);
+      const chunks = chunksByUrl.valueSeq().toArray();
+      assert.equal(chunks.length, 2);
+      assert.deepEqual(chunks[0].records, ['c.css', 'b.js', 'd.js', 'a.js']);
+      assert.deepEqual(chunks[1].records, ['c.css', 'b.js']);
+    });
+    it('should respect the `maxRecordsPerChunk` option', () => {
+      const chunksByUrl = createChunksByUrl(createTestState({maxRecordsPerChunk: 3}));
+      assert.equal(chunksByUrl.size, 2);
+    });
+    it('should reuse chunks that were generated by previous builds', () => {
+      const state = createTestState();
+      const chunks = createChunks(state);
+      const chunksByUrl = createChunksByUrl(addChunksToState(state, chunks));
+      assert.strictEqual(chunksByUrl.get(chunks[0].url), chunks[0]);
+    });
+  });
+  describe('#resolveChunks', () => {
+    it('should return the chunks that were generated for the entry points', () => {
+      const state = createTestState();
+      const chunksByUrl = createChunksByUrl(state);
+      assert.deepEqual(
+        resolveChunks(state.set('chunksByUrl', chunksByUrl), ['a.js']),
+        chunksByUrl.valueSeq().toArray()
+      );
+    });
+    it('should throw if chunks have not been generated for the entry points', () => {
+      assert.throws(
+        () => resolveChunks(createTestState(), ['a.js']),
+        'Chunks have not been generated for the entry points'
+      );
+    });
+  });
+  describe('#addChunksToState', () => {
+    it('should map each chunk by its url', () => {
+      const state = createTestState();
+      const chunks = createChunks(state, {maxRecordsPerChunk: 2});
+      const updatedState = addChunksToState(state, chunks);
+      assert.equal(updatedState.chunksByUrl.size, 2);
+      assert.strictEqual(updatedState.chunksByUrl.get(chunks[1].url), chunks[1]);
+    });
+    it('should map external source maps by their url', () => {
+      const state = createTestState({externalSourceMaps: true});
+      const chunks = createChunks(state);
+      assert.equal(chunks[0].sourceMapUrl, chunks[0].url + '.map');
+      assert.equal(chunks[0].sourceMapAnnotation, '\n//# sourceMappingURL=' + chunks[0].url + '.map');
+
+      const updatedState = addChunksToState(state, chunks);
+      assert.strictEqual(updatedState.chunksByUrl.get(chunks[0].sourceMapUrl), chunks[0]);
+    });
+  });
+});
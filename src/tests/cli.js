@@ -0,0 +1,78 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mkdirp from 'mkdirp';
+import rimraf from 'rimraf';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
+import {createGraphDescription, describeGraph, getCacheStats, describeCacheStats} from '../cli';
+import {assert} from './assert';
+
+describe('unfort/cli', () => {
+  const testDir = path.join(os.tmpdir(), 'unfort-cli-test');
+
+  beforeEach(done => rimraf(testDir, done));
+  after(done => rimraf(testDir, done));
+
+  describe('#createGraphDescription', () => {
+    it('should map each node to its dependencies', () => {
+      const nodes = createNodesFromNotation(`
+        a -> c
+        a -> b -> c
+      `);
+      assert.deepEqual(
+        createGraphDescription(nodes),
+        {
+          a: ['b', 'c'],
+          b: ['c'],
+          c: []
+        }
+      );
+    });
+  });
+  describe('#describeGraph', () => {
+    it('should list each node, followed by its dependencies', () => {
+      const nodes = createNodesFromNotation(`
+        /foo/a.js -> /foo/b.js -> /bar/c.js
+      `);
+      assert.equal(
+        describeGraph(nodes, '/foo'),
+        [
+          '../bar/c.js',
+          'a.js',
+          '  -> b.js',
+          'b.js',
+          '  -> ../bar/c.js'
+        ].join('\n')
+      );
+    });
+  });
+  describe('#getCacheStats', () => {
+    it('should count the files and bytes within each environment directory', () => {
+      mkdirp.sync(path.join(testDir, 'hash1', 'nested'));
+      mkdirp.sync(path.join(testDir, 'hash2'));
+      fs.writeFileSync(path.join(testDir, 'hash1', 'a'), '123');
+      fs.writeFileSync(path.join(testDir, 'hash1', 'nested', 'b'), '45');
+      return assert.becomes(
+        getCacheStats(testDir),
+        {
+          hash1: {files: 2, size: 5},
+          hash2: {files: 0, size: 0}
+        }
+      );
+    });
+    it('should handle a cache directory that does not exist', () => {
+      return assert.becomes(getCacheStats(testDir), {});
+    });
+  });
+  describe('#describeCacheStats', () => {
+    it('should describe each environment directory', () => {
+      assert.equal(
+        describeCacheStats('/foo', {hash: {files: 2, size: 5}}),
+        '/foo\n  hash: 2 files, 5 bytes'
+      );
+    });
+    it('should indicate if the cache is empty', () => {
+      assert.equal(describeCacheStats('/foo', {}), '/foo is empty');
+    });
+  });
+});
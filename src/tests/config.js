@@ -0,0 +1,144 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mkdirp from 'mkdirp';
+import rimraf from 'rimraf';
+import {createState} from '../state';
+import {
+  resolveBuildOptions, loadConfigFile, validateOptions, validateRequiredOptions
+} from '../config';
+import {assert} from './assert';
+
+describe('unfort/config', () => {
+  const testDir = path.join(os.tmpdir(), 'unfort-config-test');
+
+  beforeEach(done => rimraf(testDir, done));
+  after(done => rimraf(testDir, done));
+
+  function writeConfigFile(filename, content) {
+    const configFile = path.join(testDir, filename);
+    mkdirp.sync(testDir);
+    fs.writeFileSync(configFile, content);
+    return configFile;
+  }
+
+  describe('#resolveBuildOptions', () => {
+    it('should return the provided options', () => {
+      assert.deepEqual(
+        resolveBuildOptions({rootUrl: '/static/'}),
+        {rootUrl: '/static/'}
+      );
+    });
+    it('should load the options from a config file and apply any overrides', () => {
+      const configFile = writeConfigFile(
+        'overrides.config.js',
+        'module.exports = {rootUrl: "/static/", cssModules: true};'
+      );
+      const options = resolveBuildOptions({configFile, rootUrl: '/override/'});
+      assert.equal(options.rootUrl, '/override/');
+      assert.equal(options.cssModules, true);
+      assert.isUndefined(options.configFile);
+    });
+    it('should throw a readable error for invalid options', () => {
+      assert.throws(
+        () => resolveBuildOptions({entryPoint: 'foo', rootURL: '/static/', cssModules: 'yes'}),
+        [
+          'Invalid build options:',
+          ' - Unknown option "entryPoint", did you mean "entryPoints"?',
+          ' - Unknown option "rootURL", did you mean "rootUrl"?',
+          ' - The "cssModules" option must be a boolean'
+        ].join('\n')
+      );
+    });
+    it('should indicate the config file that contains invalid options', () => {
+      const configFile = writeConfigFile('invalid.config.js', 'module.exports = {foo: "bar"};');
+      assert.throws(
+        () => resolveBuildOptions({configFile}),
+        `Invalid config in ${configFile}:\n - Unknown option "foo"`
+      );
+    });
+  });
+  describe('#loadConfigFile', () => {
+    it('should read the options exported by a config file', () => {
+      const configFile = writeConfigFile(
+        'read.config.js',
+        'module.exports = {rootUrl: "/static/", sourceRoot: "/foo"};'
+      );
+      const config = loadConfigFile(configFile);
+      assert.equal(config.rootUrl, '/static/');
+      assert.equal(config.sourceRoot, '/foo');
+    });
+    it('should default the source root to the directory containing the config file', () => {
+      const configFile = writeConfigFile('source-root.config.js', 'module.exports = {};');
+      assert.equal(loadConfigFile(configFile).sourceRoot, testDir);
+    });
+    it('should add the config file to the inputs of the environment hash', () => {
+      const configFile = writeConfigFile('env-hash.config.js', 'module.exports = {};');
+      assert.deepEqual(
+        loadConfigFile(configFile).envHash,
+        {root: testDir, files: ['package.json', configFile]}
+      );
+
+      const configFileWithFiles = writeConfigFile(
+        'env-hash-files.config.js',
+        'module.exports = {envHash: {files: [".babelrc"], directories: []}};'
+      );
+      assert.deepEqual(
+        loadConfigFile(configFileWithFiles).envHash,
+        {root: testDir, files: ['.babelrc', configFileWithFiles], directories: []}
+      );
+    });
+    it('should resolve the source root and the environment hash root from the directory containing the config file', () => {
+      const configFile = writeConfigFile(
+        'relative.config.js',
+        'module.exports = {sourceRoot: "src", envHash: {root: ".."}};'
+      );
+      const config = loadConfigFile(configFile);
+      assert.equal(config.sourceRoot, path.join(testDir, 'src'));
+      assert.equal(config.envHash.root, path.dirname(testDir));
+    });
+    it('should throw if the config file does not exist', () => {
+      const configFile = path.join(testDir, 'missing.js');
+      assert.throws(
+        () => loadConfigFile(configFile),
+        `Cannot find config file: ${configFile}`
+      );
+    });
+  });
+  describe('#validateOptions', () => {
+    it('should accept any of the fields of the state record', () => {
+      assert.deepEqual(
+        validateOptions({
+          entryPoints: [],
+          rootUrl: '/static/',
+          getSockets: () => [],
+          recordStore: 'test'
+        }),
+        []
+      );
+    });
+    it('should ignore null values', () => {
+      assert.deepEqual(validateOptions({rootUrl: null}), []);
+    });
+    it('should describe the values with the wrong type', () => {
+      assert.deepEqual(
+        validateOptions({entryPoints: 'foo', rootUrl: 1}),
+        [
+          'The "entryPoints" option must be an array',
+          'The "rootUrl" option must be a string'
+        ]
+      );
+    });
+  });
+  describe('#validateRequiredOptions', () => {
+    it('should throw if `rootUrl` is not defined', () => {
+      assert.throws(
+        () => validateRequiredOptions(createState()),
+        'The "rootUrl" option must be defined'
+      );
+    });
+    it('should accept a state with a `rootUrl`', () => {
+      validateRequiredOptions(createState({rootUrl: '/static/'}));
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import postcss from 'postcss';
+import {cssModulesPlugin, createCssModuleCode} from '../css-modules';
+import {assert} from './assert';
+
+describe('unfort/css-modules', () => {
+  function transform(css) {
+    const plugin = cssModulesPlugin({
+      generateScopedName: name => `scoped-${name}`
+    });
+    return postcss([plugin]).process(css);
+  }
+
+  describe('#cssModulesPlugin', () => {
+    it('should scope local class names', () => {
+      return transform('.foo .bar, .foo:hover { color: blue; }')
+        .then(result => {
+          assert.equal(result.css, '.scoped-foo .scoped-bar, .scoped-foo:hover { color: blue; }');
+          assert.deepEqual(result.unfortCssModule, {
+            classNames: {
+              foo: 'scoped-foo',
+              bar: 'scoped-bar'
+            },
+            compositions: []
+          });
+        });
+    });
+    it('should leave global class names untouched', () => {
+      return transform(':global(.foo) .bar { color: blue; } .woz :global .qux:not(.bar) {}')
+        .then(result => {
+          assert.equal(result.css, '.foo .scoped-bar { color: blue; } .scoped-woz .qux:not(.bar) {}');
+          assert.deepEqual(result.unfortCssModule.classNames, {
+            bar: 'scoped-bar',
+            woz: 'scoped-woz'
+          });
+        });
+    });
+    it('should scope class names within pseudo-classes', () => {
+      return transform('.foo:not(.bar) {}')
+        .then(result => {
+          assert.equal(result.css, '.scoped-foo:not(.scoped-bar) {}');
+        });
+    });
+    it('should not treat keyframe selectors as class names', () => {
+      return transform('@keyframes spin { from { top: 0; } to { top: 1px; } }')
+        .then(result => {
+          assert.equal(result.css, '@keyframes spin { from { top: 0; } to { top: 1px; } }');
+        });
+    });
+    it('should handle local and global compositions', () => {
+      return transform('.foo { composes: bar qux from global; composes: woz; } .woz {}')
+        .then(result => {
+          assert.equal(result.css, '.scoped-foo { } .scoped-woz {}');
+          assert.deepEqual(result.unfortCssModule.classNames, {
+            foo: 'scoped-foo bar qux scoped-woz',
+            woz: 'scoped-woz'
+          });
+        });
+    });
+    it('should record compositions from other files', () => {
+      return transform('.foo { composes: bar woz from "./bar.css"; }')
+        .then(result => {
+          assert.deepEqual(result.unfortCssModule.compositions, [
+            {className: 'foo', names: ['bar', 'woz'], source: './bar.css'}
+          ]);
+        });
+    });
+    it('should throw if composing an undefined local class', () => {
+      return assert.isRejected(
+        transform('.foo { composes: bar; }'),
+        /Cannot compose undefined class "bar"/
+      );
+    });
+  });
+  describe('#createCssModuleCode', () => {
+    it('should produce an expression that evaluates to the class name mapping', () => {
+      const code = createCssModuleCode({
+        classNames: {foo: 'scoped-foo'},
+        compositions: [
+          {className: 'foo', names: ['bar'], source: './bar.css'}
+        ]
+      });
+
+      function require(id) {
+        assert.equal(id, './bar.css');
+        return {default: {bar: 'scoped-bar'}};
+      }
+
+      assert.deepEqual(eval(code), {foo: 'scoped-foo scoped-bar'});
+    });
+  });
+});
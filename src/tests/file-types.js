@@ -0,0 +1,124 @@
+import * as babylon from 'babylon';
+import {createRecordStore} from 'record-store';
+import {assign} from 'lodash/object';
+import {
+  FileType, createFileTypes, defaultFileTypes, scriptFileType, stylesheetFileType,
+  jsonFileType, htmlFileType, binaryFileType
+} from '../file-types';
+import {JS_MODULE_SOURCE_MAP_LINE_OFFSET} from '../utils';
+import {assert} from './assert';
+
+describe('unfort/file-types', () => {
+  // Handlers are called with a job's arguments, so we invoke them from
+  // within a job
+  function callHandler(handler, name, jobs) {
+    const store = createRecordStore(assign({
+      handler: (ref, store) => handler(ref, store)
+    }, jobs));
+    store.create(name);
+    return store.handler(name);
+  }
+
+  describe('#createFileTypes', () => {
+    it('should produce the default file types', () => {
+      assert.deepEqual(createFileTypes(), defaultFileTypes);
+    });
+    it('should allow file types to be added or overridden', () => {
+      const transform = () => {};
+      const fileTypes = createFileTypes({
+        '.txt': {isTextFile: true, transform},
+        '.json': {isTextFile: true, assetKind: 'script', transform}
+      });
+      assert.instanceOf(fileTypes['.txt'], FileType);
+      assert.equal(fileTypes['.txt'].transform, transform);
+      assert.equal(fileTypes['.json'].transform, transform);
+      assert.equal(fileTypes['.js'], scriptFileType);
+    });
+    it('should provide a url shim for file types that are not scripts', () => {
+      const fileTypes = createFileTypes({
+        '.txt': {isTextFile: true, transform: () => {}}
+      });
+      return assert.becomes(
+        callHandler(fileTypes['.txt'].moduleShim, 'test.txt', {url: () => 'test url'}),
+        '"test url"'
+      );
+    });
+    it('should throw if a text file type does not define a transform', () => {
+      assert.throws(
+        () => createFileTypes({'.txt': {isTextFile: true}}),
+        'The file type for ".txt" is a text file, but does not define a `transform`'
+      );
+    });
+  });
+  describe('#scriptFileType', () => {
+    it('should transform the output of `babelFile` and offset its source map', () => {
+      return callHandler(scriptFileType.transform, 'test.js', {
+        babelFile: () => ({code: 'test code', map: {mappings: 'AAAA'}})
+      })
+        .then(({code, sourceMap}) => {
+          assert.equal(code, 'test code');
+          assert.equal(JSON.parse(sourceMap).mappings, JS_MODULE_SOURCE_MAP_LINE_OFFSET + 'AAAA');
+        });
+    });
+    it('should analyze the static and async dependencies of the `ast`', () => {
+      return assert.becomes(
+        callHandler(scriptFileType.analyzeDependencies, 'test.js', {
+          ast: () => babylon.parse('import "./foo"; require.async("./bar");', {sourceType: 'module'})
+        }),
+        [
+          {source: './foo'},
+          {source: './bar', isAsync: true, isEnsured: false}
+        ]
+      );
+    });
+  });
+  describe('#stylesheetFileType', () => {
+    it('should transform the output of `postcssTransform`', () => {
+      return assert.becomes(
+        callHandler(stylesheetFileType.transform, 'test.css', {
+          postcssTransform: () => ({css: 'test css', map: 'test map'})
+        }),
+        {code: 'test css', sourceMap: 'test map'}
+      );
+    });
+    it('should shim the url of the stylesheet', () => {
+      return assert.becomes(
+        callHandler(stylesheetFileType.moduleShim, 'test.css', {
+          cssModule: () => null,
+          url: () => 'test url'
+        }),
+        '"test url"'
+      );
+    });
+  });
+  describe('#jsonFileType', () => {
+    it('should shim the code of the record', () => {
+      return assert.becomes(
+        callHandler(jsonFileType.moduleShim, 'test.json', {
+          code: () => '{"foo": "bar"}'
+        }),
+        '{"foo": "bar"}'
+      );
+    });
+  });
+  describe('#htmlFileType', () => {
+    it('should analyze the runtimes and the elements that refer to local files', () => {
+      return callHandler(htmlFileType.analyzeDependencies, 'test.html', {
+        code: () => '<script src="main.js"></script><img src="http://example.com/foo.png">',
+        htmlRuntimeDependencies: () => ['/runtimes/hot.js']
+      })
+        .then(dependencies => {
+          assert.deepEqual(
+            dependencies.map(dependency => dependency.source),
+            ['/runtimes/hot.js', './main.js']
+          );
+        });
+    });
+  });
+  describe('#binaryFileType', () => {
+    it('should not be a text file', () => {
+      assert.isFalse(binaryFileType.isTextFile);
+      assert.equal(binaryFileType.assetKind, 'url');
+    });
+  });
+});
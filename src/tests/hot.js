@@ -0,0 +1,372 @@
+import path from 'path';
+import {assert} from './assert';
+
+const runtimesDir = path.join(__dirname, '..', '..', 'runtimes');
+const socketIoClientPath = require.resolve(path.join(__dirname, '..', '..', 'vendor', 'socket.io-client'));
+
+// A minimal DOM that implements the parts used by the hot runtime
+function createElement(tagName) {
+  const attributes = {};
+  return {
+    tagName,
+    style: {},
+    childNodes: [],
+    parentNode: null,
+    setAttribute(name, value) {
+      attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return attributes[name] === undefined ? null : attributes[name];
+    },
+    appendChild(child) {
+      return this.insertBefore(child, null);
+    },
+    insertBefore(child, reference) {
+      const index = this.childNodes.indexOf(reference);
+      this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, child);
+      child.parentNode = this;
+      return child;
+    },
+    removeChild(child) {
+      this.childNodes.splice(this.childNodes.indexOf(child), 1);
+      child.parentNode = null;
+      return child;
+    }
+  };
+}
+
+function createDocument() {
+  const head = createElement('head');
+  const body = createElement('body');
+  return {
+    head,
+    body,
+    readyState: 'complete',
+    createElement,
+    getElementsByTagName(tagName) {
+      return head.childNodes.concat(body.childNodes).filter(element => element.tagName === tagName);
+    }
+  };
+}
+
+describe('unfort/runtimes/hot', () => {
+  const socketHandlers = {};
+  let __modules;
+
+  before(() => {
+    require.cache[socketIoClientPath] = {
+      id: socketIoClientPath,
+      filename: socketIoClientPath,
+      loaded: true,
+      exports: () => ({
+        on(signal, handler) {
+          socketHandlers[signal] = handler;
+        }
+      })
+    };
+
+    global.window = {
+      location: {href: 'http://localhost/'},
+      sessionStorage: {
+        getItem: () => null
+      },
+      addEventListener() {}
+    };
+    global.document = createDocument();
+    global.__UNFORT__ = {
+      SILENT_HOT_RUNTIME: true,
+      ERROR_OVERLAY: false
+    };
+    global.__modules = __modules = require(path.join(runtimesDir, 'bootstrap'));
+
+    require(path.join(runtimesDir, 'hot'));
+  });
+
+  after(() => {
+    delete require.cache[socketIoClientPath];
+    delete require.cache[require.resolve(path.join(runtimesDir, 'bootstrap'))];
+    delete require.cache[require.resolve(path.join(runtimesDir, 'hot'))];
+    delete require.cache[require.resolve(path.join(runtimesDir, 'error-overlay'))];
+    delete global.window;
+    delete global.document;
+    delete global.__UNFORT__;
+    delete global.__modules;
+  });
+
+  function addStylesheet(name, url) {
+    const link = document.createElement('link');
+    link.href = url;
+    link.setAttribute('data-unfort-name', name);
+    document.head.appendChild(link);
+    return link;
+  }
+
+  function addScript(name, url) {
+    const script = document.createElement('script');
+    script.src = url;
+    script.setAttribute('data-unfort-name', name);
+    document.body.appendChild(script);
+    return script;
+  }
+
+  function findScriptUrls(name) {
+    return document.getElementsByTagName('script')
+      .filter(script => script.getAttribute('data-unfort-name') === name)
+      .map(script => script.src);
+  }
+
+  function sendUpdate(records, removed = {}) {
+    socketHandlers['unfort:build-complete']({records, removed, asyncModules: {}});
+  }
+
+  function withoutConsoleErrors(fn) {
+    const consoleError = console.error;
+    console.error = () => {};
+    try {
+      fn();
+    } finally {
+      console.error = consoleError;
+    }
+  }
+
+  describe('hot swaps', () => {
+    it('should apply the document changes once every module has executed', () => {
+      const link = addStylesheet('commit.css', '/commit-1.css');
+      addScript('commit.js', '/commit-1.js');
+
+      __modules.defineModule({
+        name: 'commit.js',
+        hash: '1',
+        deps: {},
+        factory: module => module.hot.accept()
+      });
+      __modules.executeModule('commit.js');
+
+      sendUpdate({
+        'commit.css': {name: 'commit.css', hash: '2', url: '/commit-2.css', assetKind: 'style'},
+        'commit.js': {name: 'commit.js', hash: '2', url: '/commit-2.js', assetKind: 'script'}
+      });
+
+      // The new script is fetched, but the page is unchanged until it executes
+      assert.equal(link.href, '/commit-1.css');
+      assert.deepEqual(findScriptUrls('commit.js'), ['/commit-1.js', '/commit-2.js']);
+
+      __modules.defineModule({
+        name: 'commit.js',
+        hash: '2',
+        deps: {},
+        factory: module => module.hot.accept()
+      });
+
+      assert.equal(__modules.modules['commit.js'].hash, '2');
+      assert.equal(link.href, '/commit-2.css');
+      assert.deepEqual(findScriptUrls('commit.js'), ['/commit-2.js']);
+    });
+    it('should roll back the modules and the document if a module throws during execution', () => {
+      const link = addStylesheet('rollback.css', '/rollback-1.css');
+      addScript('rollback.js', '/rollback-1.js');
+
+      const calls = [];
+      __modules.defineModule({
+        name: 'rollback.js',
+        hash: '1',
+        deps: {},
+        factory: (module, exports) => {
+          calls.push(['execute', module.hot.data]);
+          module.hot.dispose(data => {
+            calls.push(['dispose']);
+            data.count = calls.length;
+          });
+          exports.__esModule = true;
+          exports.version = 1;
+        }
+      });
+      __modules.defineModule({
+        name: 'dependent.js',
+        hash: '1',
+        deps: {'./rollback': 'rollback.js'},
+        factory: (module, exports, require) => {
+          module.hot.accept();
+          exports.rollback = require('./rollback');
+        }
+      });
+      __modules.executeModule('dependent.js');
+      const dependentExports = __modules.getModuleExports(__modules.modules['dependent.js']);
+
+      sendUpdate({
+        'rollback.css': {name: 'rollback.css', hash: '2', url: '/rollback-2.css', assetKind: 'style'},
+        'rollback.js': {name: 'rollback.js', hash: '2', url: '/rollback-2.js', assetKind: 'script'}
+      });
+
+      withoutConsoleErrors(() => {
+        __modules.defineModule({
+          name: 'rollback.js',
+          hash: '2',
+          deps: {},
+          factory: () => {
+            throw new Error('Failed to execute');
+          }
+        });
+      });
+
+      assert.equal(__modules.modules['rollback.js'].commonjs.hot.status(), 'fail');
+      assert.equal(__modules.modules['rollback.js'].hash, '1');
+      assert.equal(__modules.modules['dependent.js'].hash, '1');
+      assert.equal(dependentExports.rollback.version, 1);
+
+      // The disposed version is re-executed with its dispose data
+      assert.deepEqual(calls, [
+        ['execute', undefined],
+        ['dispose'],
+        ['execute', {count: 2}]
+      ]);
+
+      assert.equal(link.href, '/rollback-1.css');
+      assert.deepEqual(findScriptUrls('rollback.js'), ['/rollback-1.js']);
+    });
+    it('should call the callbacks of modules that accept updates of their dependencies', () => {
+      addScript('accepted-child.js', '/accepted-child-1.js');
+
+      const calls = [];
+      __modules.defineModule({
+        name: 'accepted-child.js',
+        hash: '1',
+        deps: {},
+        factory: (module, exports) => {
+          exports.__esModule = true;
+          exports.version = 1;
+        }
+      });
+      __modules.defineModule({
+        name: 'accepting-parent.js',
+        hash: '1',
+        deps: {'./child': 'accepted-child.js'},
+        factory: (module, exports, require) => {
+          calls.push('execute');
+          const child = require('./child');
+          module.hot.accept(['./child'], () => calls.push(['accepted', child.version]));
+        }
+      });
+      __modules.executeModule('accepting-parent.js');
+
+      sendUpdate({
+        'accepted-child.js': {name: 'accepted-child.js', hash: '2', url: '/accepted-child-2.js', assetKind: 'script'}
+      });
+      assert.deepEqual(calls, ['execute']);
+
+      __modules.defineModule({
+        name: 'accepted-child.js',
+        hash: '2',
+        deps: {},
+        factory: (module, exports) => {
+          exports.__esModule = true;
+          exports.version = 2;
+        }
+      });
+
+      assert.equal(__modules.modules['accepted-child.js'].hash, '2');
+      assert.equal(__modules.modules['accepting-parent.js'].commonjs.hot.status(), 'idle');
+      assert.deepEqual(calls, ['execute', ['accepted', 2]]);
+    });
+    it('should accept updates of a single dependency identifier', () => {
+      __modules.defineModule({
+        name: 'single-child.js',
+        hash: '1',
+        deps: {},
+        factory: () => {}
+      });
+      __modules.defineModule({
+        name: 'single-parent.js',
+        hash: '1',
+        deps: {'./child': 'single-child.js'},
+        factory: (module, exports, require) => {
+          require('./child');
+          module.hot.accept('./child');
+        }
+      });
+      __modules.executeModule('single-parent.js');
+
+      assert.isFunction(__modules.modules['single-parent.js'].hot.acceptedDependencies['single-child.js']);
+      assert.isFalse(__modules.modules['single-parent.js'].hot.accepted);
+    });
+    it('should restore the modules and assets that were removed if the hot swap fails', () => {
+      const link = addStylesheet('removed.css', '/removed.css');
+      addScript('removed.js', '/removed.js');
+      addScript('failed.js', '/failed-1.js');
+
+      __modules.defineModule({
+        name: 'removed.js',
+        hash: '1',
+        deps: {},
+        factory: module => module.hot.accept()
+      });
+      __modules.executeModule('removed.js');
+      const removedMod = __modules.modules['removed.js'];
+
+      __modules.defineModule({
+        name: 'failed.js',
+        hash: '1',
+        deps: {},
+        factory: module => module.hot.accept()
+      });
+      __modules.executeModule('failed.js');
+
+      sendUpdate(
+        {'failed.js': {name: 'failed.js', hash: '2', url: '/failed-2.js', assetKind: 'script'}},
+        {
+          'removed.css': {name: 'removed.css', hash: '1', url: '/removed.css', assetKind: 'style'},
+          'removed.js': {name: 'removed.js', hash: '1', url: '/removed.js', assetKind: 'script'}
+        }
+      );
+
+      // The assets are left in place until the swap has executed
+      assert.equal(link.parentNode, document.head);
+      assert.deepEqual(findScriptUrls('removed.js'), ['/removed.js']);
+
+      withoutConsoleErrors(() => {
+        __modules.defineModule({
+          name: 'failed.js',
+          hash: '2',
+          deps: {},
+          factory: () => {
+            throw new Error('Failed to execute');
+          }
+        });
+      });
+
+      assert.equal(__modules.modules['failed.js'].hash, '1');
+      assert.strictEqual(__modules.modules['removed.js'], removedMod);
+      assert.equal(link.parentNode, document.head);
+      assert.deepEqual(findScriptUrls('removed.js'), ['/removed.js']);
+      assert.deepEqual(findScriptUrls('failed.js'), ['/failed-1.js']);
+    });
+    it('should remove the assets of removed modules once the hot swap has executed', () => {
+      const link = addStylesheet('committed-removal.css', '/committed-removal.css');
+      addScript('swapped.js', '/swapped-1.js');
+
+      __modules.defineModule({
+        name: 'swapped.js',
+        hash: '1',
+        deps: {},
+        factory: module => module.hot.accept()
+      });
+      __modules.executeModule('swapped.js');
+
+      sendUpdate(
+        {'swapped.js': {name: 'swapped.js', hash: '2', url: '/swapped-2.js', assetKind: 'script'}},
+        {'committed-removal.css': {name: 'committed-removal.css', hash: '1', url: '/committed-removal.css', assetKind: 'style'}}
+      );
+      assert.equal(link.parentNode, document.head);
+
+      __modules.defineModule({
+        name: 'swapped.js',
+        hash: '2',
+        deps: {},
+        factory: module => module.hot.accept()
+      });
+
+      assert.equal(__modules.modules['swapped.js'].hash, '2');
+      assert.isNull(link.parentNode);
+    });
+  });
+});
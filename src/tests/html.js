@@ -0,0 +1,95 @@
+import imm from 'immutable';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
+import {createState} from '../state';
+import {findHtmlDependencies, createHtmlDocument} from '../html';
+import {assert} from './assert';
+
+describe('unfort/html', () => {
+  describe('#findHtmlDependencies', () => {
+    it('should find the scripts, stylesheets and images that refer to local files', () => {
+      const html = [
+        '<link rel="stylesheet" href="./style.css">',
+        '<link rel="preconnect" href="https://example.com">',
+        '<img src="images/logo.png?v=1">',
+        '<img src="/static/logo.png">',
+        '<script src="main.js"></script>',
+        '<script>inline</script>'
+      ].join('\n');
+
+      const dependencies = findHtmlDependencies(html);
+
+      assert.deepEqual(
+        dependencies.map(({source, tagName}) => ({source, tagName})),
+        [
+          {source: './style.css', tagName: 'link'},
+          {source: './images/logo.png', tagName: 'img'},
+          {source: './main.js', tagName: 'script'}
+        ]
+      );
+
+      const script = dependencies[2];
+      assert.equal(html.slice(script.start, script.end), '<script src="main.js"></script>');
+      assert.equal(html.slice(script.attrStart, script.attrEnd), 'src="main.js"');
+    });
+  });
+  describe('#createHtmlDocument', () => {
+    it('should inject the runtimes and rewrite the elements to load records', () => {
+      const state = createState({
+        bootstrapRuntime: '/bootstrap.js',
+        nodes: createNodesFromNotation(`
+          /index.html -> /hot.js
+          /index.html -> /style.css
+          /index.html -> /main.js -> /dep.js
+        `),
+        records: imm.Map({
+          '/bootstrap.js': {
+            name: '/bootstrap.js',
+            data: {content: 'bootstrap'}
+          },
+          '/index.html': {
+            name: '/index.html',
+            data: {
+              content: '<head><link rel="stylesheet" href="style.css"></head><script src="main.js"></script>',
+              resolvedDependencies: {
+                '/hot.js': '/hot.js',
+                './style.css': '/style.css',
+                './main.js': '/main.js'
+              }
+            }
+          },
+          '/hot.js': {
+            name: '/hot.js',
+            data: {url: '/static/hot-1.js', assetKind: 'script'}
+          },
+          '/style.css': {
+            name: '/style.css',
+            data: {url: '/static/style-2.css', assetKind: 'style', moduleDefinition: 'style definition'}
+          },
+          '/main.js': {
+            name: '/main.js',
+            data: {url: '/static/main-3.js', assetKind: 'script'}
+          },
+          '/dep.js': {
+            name: '/dep.js',
+            data: {url: '/static/dep-4.js', assetKind: 'script'}
+          }
+        })
+      });
+
+      assert.equal(
+        createHtmlDocument(state, '/index.html'),
+        [
+          '<head>',
+          '<script>if (!window.__modules) {\nbootstrap\n}\n__modules.document = "/index.html";\nstyle definition</script>',
+          '<script src="/static/hot-1.js" data-unfort-name="/hot.js"></script>',
+          '<script>__modules.executeModule("/hot.js");</script>',
+          '<link rel="stylesheet" href="/static/style-2.css" data-unfort-name="/style.css">',
+          '</head>',
+          '<script src="/static/dep-4.js" data-unfort-name="/dep.js"></script>',
+          '<script src="/static/main-3.js" data-unfort-name="/main.js"></script>',
+          '<script>__modules.executeModule("/main.js");</script>'
+        ].join('')
+      );
+    });
+  });
+});
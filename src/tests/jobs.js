@@ -1,13 +1,18 @@
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import rimraf from 'rimraf';
 import {assign} from 'lodash/object';
 import {createRecordStore} from 'record-store';
 import postcss from 'postcss';
 import {createMockCache} from 'kv-cache';
 import * as babylon from 'babylon';
 import * as babel from 'babel-core';
+import babelGenerator from 'babel-generator';
 import browserifyBuiltins from 'browserify/lib/builtins';
 import {createJobs} from '../jobs';
 import {createJSModuleDefinition} from '../utils';
+import {FileType, scriptFileType, stylesheetFileType, binaryFileType} from '../file-types';
 import {assert} from './assert';
 
 describe('unfort/jobs', () => {
@@ -46,7 +51,10 @@ describe('unfort/jobs', () => {
         hashedFilename: () => 'test hashed filename',
         isTextFile: () => 'test is text file',
         mimeType: () => 'test mime type',
-        fileDependencies: () => 'test file dependencies'
+        fileDependencies: () => 'test file dependencies',
+        asyncDependencies: () => 'test async dependencies',
+        cssModule: () => 'test css module',
+        outputExt: () => 'test output ext'
       });
       store.create('test.js');
       return store.ready('test.js')
@@ -61,7 +69,10 @@ describe('unfort/jobs', () => {
             hashedFilename: 'test hashed filename',
             isTextFile: 'test is text file',
             mimeType: 'test mime type',
-            fileDependencies: 'test file dependencies'
+            fileDependencies: 'test file dependencies',
+            asyncDependencies: 'test async dependencies',
+            cssModule: 'test css module',
+            outputExt: 'test output ext'
           };
           for (let key in expected) {
             if (expected.hasOwnProperty(key)) {
@@ -91,6 +102,56 @@ describe('unfort/jobs', () => {
       return assert.becomes(store.ext(record), '.js');
     });
   });
+  describe('##outputExt', () => {
+    it('should produce the extension of the compiled file', () => {
+      const store = createTestStore();
+      store.create('test.js');
+      store.create('test.scss');
+      store.create('test.less');
+      store.create('test.ts');
+      store.create('test.tsx');
+      return Promise.resolve()
+        .then(() => assert.becomes(store.outputExt('test.js'), '.js'))
+        .then(() => assert.becomes(store.outputExt('test.scss'), '.css'))
+        .then(() => assert.becomes(store.outputExt('test.less'), '.css'))
+        .then(() => assert.becomes(store.outputExt('test.ts'), '.js'))
+        .then(() => assert.becomes(store.outputExt('test.tsx'), '.js'));
+    });
+  });
+  describe('##fileType', () => {
+    it('should produce the file type registered for the extension', () => {
+      const fileType = FileType({isTextFile: true});
+      const store = createTestStore({}, {
+        fileTypes: {'.txt': fileType}
+      });
+      store.create('test.txt');
+      return assert.becomes(store.fileType('test.txt'), fileType);
+    });
+    it('should fallback to the default file types', () => {
+      const store = createTestStore();
+      store.create('test.js');
+      return assert.becomes(store.fileType('test.js'), scriptFileType);
+    });
+    it('should fallback to binary files for unknown extensions', () => {
+      const store = createTestStore();
+      store.create('test.png');
+      return assert.becomes(store.fileType('test.png'), binaryFileType);
+    });
+  });
+  describe('##assetKind', () => {
+    it('should indicate how the record is added to a document', () => {
+      const store = createTestStore();
+      store.create('test.js');
+      store.create('test.json');
+      store.create('test.scss');
+      store.create('test.png');
+      return Promise.resolve()
+        .then(() => assert.becomes(store.assetKind('test.js'), 'script'))
+        .then(() => assert.becomes(store.assetKind('test.json'), 'script'))
+        .then(() => assert.becomes(store.assetKind('test.scss'), 'style'))
+        .then(() => assert.becomes(store.assetKind('test.png'), 'url'));
+    });
+  });
   describe('##isTextFile', () => {
     it('should indicate true if the file is JS, CSS or JSON in type', () => {
       const store = createTestStore();
@@ -102,6 +163,22 @@ describe('unfort/jobs', () => {
         .then(() => assert.becomes(store.isTextFile('test.json'), true))
         .then(() => assert.becomes(store.isTextFile('test.css'), true));
     });
+    it('should indicate true for Sass and Less files', () => {
+      const store = createTestStore();
+      store.create('test.scss');
+      store.create('test.less');
+      return Promise.resolve()
+        .then(() => assert.becomes(store.isTextFile('test.scss'), true))
+        .then(() => assert.becomes(store.isTextFile('test.less'), true));
+    });
+    it('should indicate true for TypeScript files', () => {
+      const store = createTestStore();
+      store.create('test.ts');
+      store.create('test.tsx');
+      return Promise.resolve()
+        .then(() => assert.becomes(store.isTextFile('test.ts'), true))
+        .then(() => assert.becomes(store.isTextFile('test.tsx'), true));
+    });
     it('should indicate false for other file types', () => {
       const store = createTestStore();
       store.create('test');
@@ -126,6 +203,11 @@ describe('unfort/jobs', () => {
         .then(() => assert.becomes(store.mimeType('test.css'), 'text/css'))
         .then(() => assert.becomes(store.mimeType('test.png'), 'image/png'));
     });
+    it('should indicate the mime-type of the compiled file', () => {
+      const store = createTestStore();
+      store.create('test.scss');
+      return assert.becomes(store.mimeType('test.scss'), 'text/css');
+    });
     it('should fallback to null', () => {
       const store = createTestStore();
       store.create('test');
@@ -179,6 +261,15 @@ describe('unfort/jobs', () => {
       store.create('test');
       return assert.becomes(store.hashText('test'), '613153351');
     });
+    it('should hash the compiled stylesheet of Sass and Less files', () => {
+      const store = createTestStore({
+        preprocess() {
+          return {code: 'hello'};
+        }
+      });
+      store.create('test.scss');
+      return assert.becomes(store.hashText('test.scss'), '613153351');
+    });
   });
   describe('##hash', () => {
     it('should return the value of `hashText`, for text files', () => {
@@ -415,6 +506,47 @@ describe('unfort/jobs', () => {
         null
       );
     });
+    it('should point to the source map url if the source maps are external', () => {
+      const store = createTestStore({
+        sourceMap: () => 'test source map',
+        sourceMapUrl: () => '/foo/bar-123.js.map'
+      });
+      store.create('/foo/bar.js');
+      return assert.becomes(
+        store.sourceMapAnnotation('/foo/bar.js'),
+        '\n//# sourceMappingURL=/foo/bar-123.js.map'
+      );
+    });
+  });
+  describe('##sourceMapUrl', () => {
+    it('should produce null if the source maps are inline', () => {
+      const store = createTestStore({
+        url: () => '/foo/bar-123.js',
+        sourceMap: () => 'test source map'
+      });
+      store.create('/foo/bar.js');
+      return assert.becomes(store.sourceMapUrl('/foo/bar.js'), null);
+    });
+    it('should append `.map` to the url if the source maps are external', () => {
+      const store = createTestStore({
+        url: () => '/foo/bar-123.js',
+        sourceMap: () => 'test source map'
+      }, {
+        externalSourceMaps: true
+      });
+      store.create('/foo/bar.js');
+      return assert.becomes(store.sourceMapUrl('/foo/bar.js'), '/foo/bar-123.js.map');
+    });
+    it('should produce null for records without source maps', () => {
+      const store = createTestStore({
+        url: () => '/foo/bar.png',
+        sourceMap: () => null
+      }, {
+        externalSourceMaps: true
+      });
+      store.create('/foo/bar.png');
+      return assert.becomes(store.sourceMapUrl('/foo/bar.png'), null);
+    });
   });
   describe('##postcssPlugins', () => {
     it('should return an empty array', () => {
@@ -446,6 +578,85 @@ describe('unfort/jobs', () => {
       );
     });
   });
+  describe('##preprocess', () => {
+    it('should produce the text of files without a `preprocess` hook', () => {
+      const store = createTestStore({
+        readText: () => 'test text'
+      });
+      store.create('test.css');
+      return assert.becomes(
+        store.preprocess('test.css'),
+        {code: 'test text', map: null, fileDependencies: []}
+      );
+    });
+    it('should call the `preprocess` hook of the file type', () => {
+      const store = createTestStore({}, {
+        fileTypes: {
+          '.styl': stylesheetFileType.set('preprocess', ref => ({
+            code: `compiled ${ref.name}`,
+            map: null,
+            fileDependencies: ['test partial']
+          }))
+        }
+      });
+      store.create('test.styl');
+      return store.preprocessStylesheet('test.styl')
+        .then(stylesheet => {
+          assert.deepEqual(stylesheet, {
+            css: 'compiled test.styl',
+            map: null,
+            fileDependencies: ['test partial']
+          });
+        });
+    });
+  });
+  describe('##preprocessStylesheet', () => {
+    const dirname = path.join(os.tmpdir(), 'unfort-preprocess-stylesheet-test');
+
+    before(() => {
+      rimraf.sync(dirname);
+      fs.mkdirSync(dirname);
+      fs.mkdirSync(path.join(dirname, 'partials'));
+      fs.writeFileSync(path.join(dirname, 'partials', '_vars.scss'), '$color: blue;');
+      fs.writeFileSync(path.join(dirname, 'test.scss'), '@use "partials/vars";\n.foo { color: vars.$color; }');
+      fs.writeFileSync(path.join(dirname, 'partials', 'vars.less'), '@color: blue;');
+      fs.writeFileSync(path.join(dirname, 'test.less'), '@import "partials/vars";\n.foo { color: @color; }');
+    });
+    after(() => rimraf.sync(dirname));
+
+    it('should produce the text of css files', () => {
+      const store = createTestStore({
+        readText: () => 'test text'
+      });
+      store.create('test.css');
+      return assert.becomes(
+        store.preprocessStylesheet('test.css'),
+        {css: 'test text', map: null, fileDependencies: []}
+      );
+    });
+    it('should compile Sass files and indicate the partials that were included', () => {
+      const file = path.join(dirname, 'test.scss');
+      const store = createTestStore();
+      store.create(file);
+      return store.preprocessStylesheet(file)
+        .then(({css, map, fileDependencies}) => {
+          assert.equal(css, '.foo {\n  color: blue;\n}');
+          assert.include(map.sources, 'file://' + path.join(dirname, 'partials', '_vars.scss'));
+          assert.deepEqual(fileDependencies, [path.join(dirname, 'partials', '_vars.scss')]);
+        });
+    });
+    it('should compile Less files and indicate the partials that were included', () => {
+      const file = path.join(dirname, 'test.less');
+      const store = createTestStore();
+      store.create(file);
+      return store.preprocessStylesheet(file)
+        .then(({css, map, fileDependencies}) => {
+          assert.equal(css, '.foo {\n  color: blue;\n}\n');
+          assert.deepEqual(map.sources, ['file://' + file]);
+          assert.deepEqual(fileDependencies, [path.join(dirname, 'partials', 'vars.less')]);
+        });
+    });
+  });
   describe('##postcssTransform', () => {
     it('should produce a postcss result from a css file', () => {
       const store = createTestStore({
@@ -514,6 +725,127 @@ describe('unfort/jobs', () => {
           assert.equal(result.unfortTestPlugin, 'test');
         });
     });
+    it('should chain the source maps of preprocessed stylesheets', () => {
+      const store = createTestStore({
+        readText: () => '.foo { color: $color; }',
+        preprocess: () => ({
+          code: '.foo { color: blue; }',
+          map: {
+            version: 3,
+            sources: ['file:///foo/test.scss'],
+            names: [],
+            mappings: 'AAAA',
+            sourcesContent: ['.foo { color: $color; }']
+          },
+          fileDependencies: []
+        })
+      }, {
+        sourceRoot: '/foo'
+      });
+      store.create('/foo/test.scss');
+      return store.postcssTransform('/foo/test.scss')
+        .then(result => {
+          assert.include(result.map.toJSON().sources, 'file:///foo/test.scss');
+        });
+    });
+    it('should scope class names if `shouldUseCssModules` is true', () => {
+      const store = createTestStore({
+        readText: () => '.foo { composes: bar from "./bar.css"; color: blue; }',
+        shouldUseCssModules: () => true,
+        cssModuleScopedName: () => name => `scoped-${name}`
+      }, {
+        sourceRoot: '/foo'
+      });
+      store.create('/foo/test.css');
+      return store.postcssTransform('/foo/test.css')
+        .then(result => {
+          assert.equal(result.css, '.scoped-foo { color: blue; }');
+          assert.deepEqual(result.unfortCssModule, {
+            classNames: {foo: 'scoped-foo'},
+            compositions: [{className: 'foo', names: ['bar'], source: './bar.css'}]
+          });
+          assert.deepEqual(result.unfortDependencies, [{source: './bar.css'}]);
+        });
+    });
+  });
+  describe('##shouldUseCssModules', () => {
+    it('should return false if the `cssModules` option is not enabled', () => {
+      const store = createTestStore({}, {
+        rootNodeModules: '/foo/node_modules',
+        vendorRoot: '/foo/vendor'
+      });
+      store.create('/foo/test.css');
+      return assert.becomes(store.shouldUseCssModules('/foo/test.css'), false);
+    });
+    it('should return true for css files if the `cssModules` option is enabled', () => {
+      const store = createTestStore({}, {
+        cssModules: true,
+        rootNodeModules: '/foo/node_modules',
+        vendorRoot: '/foo/vendor'
+      });
+      store.create('/foo/test.css');
+      store.create('/foo/test.js');
+      return Promise.all([
+        assert.becomes(store.shouldUseCssModules('/foo/test.css'), true),
+        assert.becomes(store.shouldUseCssModules('/foo/test.js'), false)
+      ]);
+    });
+    it('should return false for files in the root node_modules or vendor root', () => {
+      const store = createTestStore({}, {
+        cssModules: true,
+        rootNodeModules: '/foo/node_modules',
+        vendorRoot: '/foo/vendor'
+      });
+      store.create('/foo/node_modules/test.css');
+      store.create('/foo/vendor/test.css');
+      return Promise.all([
+        assert.becomes(store.shouldUseCssModules('/foo/node_modules/test.css'), false),
+        assert.becomes(store.shouldUseCssModules('/foo/vendor/test.css'), false)
+      ]);
+    });
+  });
+  describe('##cssModuleScopedName', () => {
+    it('should produce a function that scopes class names to the file', () => {
+      const store = createTestStore({}, {
+        sourceRoot: '/foo'
+      });
+      store.create('/foo/test.css');
+      store.create('/foo/bar/test.css');
+      return Promise.all([
+        store.cssModuleScopedName('/foo/test.css'),
+        store.cssModuleScopedName('/foo/bar/test.css')
+      ])
+        .then(([generateScopedName, otherGenerateScopedName]) => {
+          assert.match(generateScopedName('foo'), /^test__foo___\w+$/);
+          assert.notEqual(generateScopedName('foo'), otherGenerateScopedName('foo'));
+        });
+    });
+  });
+  describe('##cssModule', () => {
+    it('should return null if `shouldUseCssModules` is false', () => {
+      const store = createTestStore({
+        shouldUseCssModules: () => false
+      });
+      store.create('test.css');
+      return assert.becomes(store.cssModule('test.css'), null);
+    });
+    it('should return the CSS Module produced by `postcssTransform`', () => {
+      const store = createTestStore({
+        readCache: () => ({}),
+        shouldUseCssModules: () => true,
+        postcssTransform: () => ({unfortCssModule: 'test css module'})
+      });
+      store.create('test.css');
+      return assert.becomes(store.cssModule('test.css'), 'test css module');
+    });
+    it('should use cached data if available', () => {
+      const store = createTestStore({
+        readCache: () => ({cssModule: 'test cached css module'}),
+        shouldUseCssModules: () => true
+      });
+      store.create('test.css');
+      return assert.becomes(store.cssModule('test.css'), 'test cached css module');
+    });
   });
   describe('##babelTransformOptions', () => {
     it('should generate appropriate options for babel transformation', () => {
@@ -566,6 +898,106 @@ describe('unfort/jobs', () => {
           assert.isObject(file.ast);
         });
     });
+    it('should rewrite `import()` calls to `require.async()`', () => {
+      const store = createTestStore({
+        readText: () => 'import("./foo");',
+        babelTransformOptions: () => ({})
+      });
+      store.create('test.js');
+      return store.babelTransform('test.js')
+        .then(file => {
+          assert.equal(file.code, 'require.async("./foo");');
+        });
+    });
+    it('should merge the source map of `babelTransformInput`', () => {
+      const store = createTestStore({
+        babelTransformInput: () => ({
+          code: 'var test = "test";',
+          map: {
+            version: 3,
+            sources: ['test source url'],
+            names: [],
+            mappings: 'AAAA,IAAM',
+            sourcesContent: ['const test: string = "test";']
+          }
+        }),
+        babelTransformOptions: () => ({
+          sourceMaps: true
+        })
+      });
+      store.create('test.ts');
+      return store.babelTransform('test.ts')
+        .then(file => {
+          assert.deepEqual(file.map.sources, ['test source url']);
+          assert.deepEqual(file.map.sourcesContent, ['const test: string = "test";']);
+        });
+    });
+  });
+  describe('##babelTransformInput', () => {
+    it('should produce the text of js files', () => {
+      const store = createTestStore({
+        readText: () => 'test text'
+      });
+      store.create('test.js');
+      return assert.becomes(
+        store.babelTransformInput('test.js'),
+        {code: 'test text', map: null}
+      );
+    });
+    it('should produce the output of `typescriptTranspile` for TypeScript files', () => {
+      const store = createTestStore({
+        typescriptTranspile: () => 'test transpiled'
+      });
+      store.create('test.ts');
+      store.create('test.tsx');
+      return Promise.all([
+        assert.becomes(store.babelTransformInput('test.ts'), 'test transpiled'),
+        assert.becomes(store.babelTransformInput('test.tsx'), 'test transpiled')
+      ]);
+    });
+  });
+  describe('##typescriptTranspile', () => {
+    it('should transpile TypeScript and preserve ES modules', () => {
+      const store = createTestStore({
+        readText: () => 'import {foo} from "./foo";\nconst test: string = foo;',
+        sourceUrl: () => 'test source url'
+      });
+      store.create('test.ts');
+      return store.typescriptTranspile('test.ts')
+        .then(({code, map}) => {
+          assert.equal(code, 'import { foo } from "./foo";\nvar test = foo;');
+          assert.deepEqual(map.sources, ['test source url']);
+          assert.deepEqual(map.sourcesContent, ['import {foo} from "./foo";\nconst test: string = foo;']);
+        });
+    });
+    it('should transpile JSX in .tsx files', () => {
+      const store = createTestStore({
+        readText: () => 'const test = <div />;',
+        sourceUrl: () => 'test source url'
+      });
+      store.create('test.tsx');
+      return store.typescriptTranspile('test.tsx')
+        .then(({code}) => {
+          assert.equal(code, 'var test = React.createElement("div", null);');
+        });
+    });
+    it('should reject with the location of any syntax errors', () => {
+      const store = createTestStore({
+        readText: () => 'const test = ;',
+        sourceUrl: () => 'test source url'
+      });
+      store.create('test.ts');
+      return store.typescriptTranspile('test.ts')
+        .then(
+          () => {
+            throw new Error('Should not be reached');
+          },
+          err => {
+            assert.equal(err.message, 'Expression expected.');
+            assert.deepEqual(err.loc, {line: 1, column: 13});
+          }
+        );
+    });
   });
   describe('##babelGeneratorOptions', () => {
     it('should generate appropriate options', () => {
@@ -637,6 +1069,91 @@ describe('unfort/jobs', () => {
           assert.isNull(file.map);
         });
     });
+    it('should compose the map with the input source map and remove the annotation', () => {
+      const store = createTestStore({
+        readText: () => 'var foo = "foo";\n//# sourceMappingURL=test.js.map',
+        sourceUrl: () => 'file:///foo/test.js',
+        inputSourceMap: () => ({
+          version: 3,
+          sources: ['file:///foo/src/test.js'],
+          names: [],
+          mappings: 'AAAA'
+        })
+      }, {
+        sourceRoot: '/foo'
+      });
+      store.create('/foo/test.js');
+      return store.babelGenerator('/foo/test.js')
+        .then(file => {
+          assert.notInclude(file.code, 'sourceMappingURL');
+          assert.include(file.map.sources, 'file:///foo/src/test.js');
+        });
+    });
+  });
+  describe('##inputSourceMap', () => {
+    const dirname = path.join(os.tmpdir(), 'unfort-input-source-map-test');
+    const map = {
+      version: 3,
+      sources: ['src/index.js'],
+      names: [],
+      mappings: 'AAAA'
+    };
+
+    before(() => {
+      rimraf.sync(dirname);
+      fs.mkdirSync(dirname);
+      fs.writeFileSync(path.join(dirname, 'index.js.map'), JSON.stringify(map));
+    });
+    after(() => rimraf.sync(dirname));
+
+    it('should produce null for files outside of node_modules and the vendor root', () => {
+      const store = createTestStore({
+        readText: () => '//# sourceMappingURL=index.js.map'
+      }, {
+        rootNodeModules: '/foo/node_modules',
+        vendorRoot: '/foo/vendor'
+      });
+      store.create('/foo/test.js');
+      return assert.becomes(store.inputSourceMap('/foo/test.js'), null);
+    });
+    it('should read external source maps and resolve their sources', () => {
+      const file = path.join(dirname, 'index.js');
+      const store = createTestStore({
+        readText: () => 'var foo = "foo";\n//# sourceMappingURL=index.js.map'
+      }, {
+        rootNodeModules: dirname
+      });
+      store.create(file);
+      return store.inputSourceMap(file)
+        .then(inputSourceMap => {
+          assert.deepEqual(inputSourceMap.sources, ['file://' + path.join(dirname, 'src', 'index.js')]);
+          assert.equal(inputSourceMap.mappings, 'AAAA');
+        });
+    });
+    it('should decode inline source maps', () => {
+      const file = path.join(dirname, 'index.js');
+      const base64Map = Buffer.from(JSON.stringify(map)).toString('base64');
+      const store = createTestStore({
+        readText: () => `var foo = "foo";\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${base64Map}`
+      }, {
+        rootNodeModules: dirname
+      });
+      store.create(file);
+      return store.inputSourceMap(file)
+        .then(inputSourceMap => {
+          assert.deepEqual(inputSourceMap.sources, ['file://' + path.join(dirname, 'src', 'index.js')]);
+        });
+    });
+    it('should ignore missing source maps', () => {
+      const file = path.join(dirname, 'index.js');
+      const store = createTestStore({
+        readText: () => '//# sourceMappingURL=missing.js.map'
+      }, {
+        rootNodeModules: dirname
+      });
+      store.create(file);
+      return assert.becomes(store.inputSourceMap(file), null);
+    });
   });
   describe('##shouldBabelTransform', () => {
     it('should indicate true if a file lives in source root', () => {
@@ -660,6 +1177,13 @@ describe('unfort/jobs', () => {
       store.create('/foo/test.js');
       return assert.becomes(store.shouldBabelTransform('/foo/test.js'), false);
     });
+    it('should indicate true for TypeScript files', () => {
+      const store = createTestStore({}, {
+        rootNodeModules: '/foo'
+      });
+      store.create('/foo/test.ts');
+      return assert.becomes(store.shouldBabelTransform('/foo/test.ts'), true);
+    });
   });
   describe('##babelFile', () => {
     it('should call `babelTransform` if `shouldBabelTransform` returns true', () => {
@@ -703,10 +1227,35 @@ describe('unfort/jobs', () => {
       return assert.becomes(
         store.babylonAst('test.js'),
         babylon.parse('const foo = "foo";', {
-          sourceType: 'script'
+          sourceType: 'script',
+          plugins: ['dynamicImport']
         })
       );
     });
+    it('should rewrite `import()` calls to `require.async()`', () => {
+      const store = createTestStore({
+        readText: () => 'import("./foo");'
+      });
+      store.create('test.js');
+      return store.babylonAst('test.js')
+        .then(ast => {
+          assert.equal(babelGenerator(ast).code, 'require.async("./foo");');
+        });
+    });
+    it('should expose the async dependencies of files that are not babel transformed', () => {
+      const store = createTestStore({
+        readText: () => 'import("./foo"); require.ensure(["bar"], function() {});',
+        shouldBabelTransform: () => false
+      });
+      store.create('test.js');
+      return assert.becomes(
+        store.analyzeDependencies('test.js'),
+        [
+          {source: './foo', isAsync: true, isEnsured: false},
+          {source: 'bar', isAsync: true, isEnsured: true}
+        ]
+      );
+    });
   });
   describe('##ast', () => {
     it('should return the babel file\'s AST for JS files that are transformed', () => {
@@ -765,6 +1314,38 @@ describe('unfort/jobs', () => {
         ]
       );
     });
+    it('should indicate the async dependencies of a js file', () => {
+      const store = createTestStore({
+        ast: () => {
+          return babylon.parse(
+            'require.async("./foo"); require.ensure(["bar"], function() { require("bar"); })',
+            {sourceType: 'module'}
+          )
+        }
+      });
+      store.create('test.js');
+      return assert.becomes(
+        store.analyzeDependencies('test.js'),
+        [
+          {source: 'bar'},
+          {source: './foo', isAsync: true, isEnsured: false},
+          {source: 'bar', isAsync: true, isEnsured: true}
+        ]
+      );
+    });
+    it('should describe async dependencies that cannot be statically analyzed with a warning', () => {
+      const store = createTestStore({
+        ast: () => babylon.parse('require.async(foo); require.ensure([`./${bar}`], function() {});')
+      });
+      store.create('test.js');
+      return assert.becomes(
+        store.analyzeDependencies('test.js'),
+        [
+          {warning: 'Dynamic import at line 1, column 14 cannot be statically analyzed and will be resolved at runtime'},
+          {warning: 'Dynamic import at line 1, column 36 cannot be statically analyzed and will be resolved at runtime'}
+        ]
+      );
+    });
     it('should return an empty array for json files', () => {
       const store = createTestStore();
       store.create('test.json');
@@ -788,6 +1369,21 @@ describe('unfort/jobs', () => {
         ['foo', 'bar']
       );
     });
+    it('should log and omit the dependencies that could not be analyzed', () => {
+      const messages = [];
+      const store = createTestStore({
+        readCache: () => ({}),
+        analyzeDependencies: () => [{source: 'foo'}, {warning: 'test warning'}]
+      }, {
+        logInfo: message => messages.push(message)
+      });
+      store.create('test.js');
+      return store.dependencyIdentifiers('test.js')
+        .then(ids => {
+          assert.deepEqual(ids, ['foo']);
+          assert.deepEqual(messages, ['Warning: test warning in test.js']);
+        });
+    });
     it('should return the `dependencyIdentifiers` prop of the cached data', () => {
       const store = createTestStore({
         readCache: () => ({dependencyIdentifiers: 'test read cache'})
@@ -829,6 +1425,48 @@ describe('unfort/jobs', () => {
       );
     });
   });
+  describe('##asyncDependencyIdentifiers', () => {
+    it('should return the identifiers of async dependencies that are not also imported statically', () => {
+      const store = createTestStore({
+        readCache: () => ({}),
+        analyzeDependencies: () => [
+          {source: 'foo'},
+          {source: 'foo', isAsync: true},
+          {source: 'bar?woz', isAsync: true}
+        ]
+      });
+      store.create('test.js');
+      return assert.becomes(store.asyncDependencyIdentifiers('test.js'), ['bar']);
+    });
+    it('should treat identifiers passed to `require.ensure` as async dependencies', () => {
+      const store = createTestStore({
+        readCache: () => ({}),
+        analyzeDependencies: () => [
+          {source: 'foo'},
+          {source: 'foo', isAsync: true, isEnsured: true}
+        ]
+      });
+      store.create('test.js');
+      return assert.becomes(store.asyncDependencyIdentifiers('test.js'), ['foo']);
+    });
+    it('should return the `asyncDependencyIdentifiers` prop of the cached data', () => {
+      const store = createTestStore({
+        readCache: () => ({asyncDependencyIdentifiers: 'test read cache'})
+      });
+      store.create('test.js');
+      return assert.becomes(store.asyncDependencyIdentifiers('test.js'), 'test read cache');
+    });
+  });
+  describe('##asyncDependencies', () => {
+    it('should map the async dependency identifiers to their resolved paths', () => {
+      const store = createTestStore({
+        resolvedDependencies: () => ({foo: '/foo.js', bar: '/bar.js'}),
+        asyncDependencyIdentifiers: () => ['bar']
+      });
+      store.create('test.js');
+      return assert.becomes(store.asyncDependencies('test.js'), ['/bar.js']);
+    });
+  });
   describe('##pathDependencyIdentifiers', () => {
     it('should return the dependency identifiers that indicate relative or absolute paths', () => {
       const store = createTestStore({
@@ -873,11 +1511,11 @@ describe('unfort/jobs', () => {
     it('should generate the resolvers options for a particular record', () => {
       const store = createTestStore();
       store.create('/foo/bar.js');
-      assert.becomes(
+      return assert.becomes(
         store.resolverOptions('/foo/bar.js'),
         {
           basedir: '/foo',
-          extensions: ['.js', '.json'],
+          extensions: ['.js', '.json', '.ts', '.tsx'],
           modules: require('browserify/lib/builtins')
         }
       );
@@ -1056,6 +1694,31 @@ describe('unfort/jobs', () => {
       );
     });
   });
+  describe('##transform', () => {
+    it('should apply the `transform` of the record\'s file type', () => {
+      const store = createTestStore({}, {
+        fileTypes: {
+          '.txt': FileType({
+            isTextFile: true,
+            transform: (ref, store) => {
+              return store.ext(ref)
+                .then(ext => ({code: ext, sourceMap: null}));
+            }
+          })
+        }
+      });
+      store.create('test.txt');
+      return assert.becomes(store.transform('test.txt'), {code: '.txt', sourceMap: null});
+    });
+    it('should reject if the file type does not define a `transform`', () => {
+      const store = createTestStore();
+      store.create('test.png');
+      return assert.isRejected(
+        store.transform('test.png'),
+        /Unknown text file extension: \.png\. Cannot transform file: test\.png/
+      );
+    });
+  });
   describe('##code', () => {
     it('should return null for non-text files', () => {
       const store = createTestStore({
@@ -1162,11 +1825,22 @@ describe('unfort/jobs', () => {
     });
     it('should return `url` stringified for files other than js or json', () => {
       const store = createTestStore({
-        url: () => 'test url'
+        url: () => 'test url',
+        cssModule: () => null
       });
       store.create('test.css');
       return assert.becomes(store.moduleContents('test.css'), '"test url"');
     });
+    it('should return the class name mapping of CSS Modules', () => {
+      const store = createTestStore({
+        cssModule: () => ({classNames: {foo: 'scoped-foo'}, compositions: []})
+      });
+      store.create('test.css');
+      return store.moduleContents('test.css')
+        .then(contents => {
+          assert.deepEqual(eval(contents), {foo: 'scoped-foo'});
+        });
+    });
   });
   describe('##shouldShimModuleDefinition', () => {
     it('should return false for js files', () => {
@@ -1419,7 +2093,8 @@ describe('unfort/jobs', () => {
     });
     it('should return null for a .json file', () => {
       const store = createTestStore({
-        readCache: () => ({})
+        readCache: () => ({}),
+        readText: () => '{}'
       });
       store.create('test.json');
       return assert.becomes(store.sourceMap('test.json'), null);
@@ -1435,6 +2110,44 @@ describe('unfort/jobs', () => {
         /Unknown text file extension: \.png\. Cannot generate source map for file: test\.png/
       );
     });
+    it('should make the sources relative to the `sourceRootUrl`', () => {
+      const sourceMap = JSON.stringify({
+        sources: ['file:///foo/src/test.js?123', '/bar/test.js', 'webpack:///test.js']
+      });
+      const store = createTestStore({
+        readCache: () => ({sourceMap})
+      }, {
+        sourceRoot: '/foo',
+        sourceRootUrl: '/__source__/'
+      });
+      store.create('/foo/src/test.js');
+      return store.sourceMap('/foo/src/test.js')
+        .then(sourceMap => {
+          assert.deepEqual(JSON.parse(sourceMap), {
+            sourceRoot: '/__source__/',
+            sources: ['src/test.js?123', '/bar/test.js', 'webpack:///test.js']
+          });
+        });
+    });
+    it('should embed the content of the sources if `sourcesContent` is true', () => {
+      const sourceMap = JSON.stringify({
+        sources: ['file://' + __filename + '?123', 'missing.js', 'preprocessed.scss'],
+        sourcesContent: [null, null, 'preprocessed content']
+      });
+      const store = createTestStore({
+        readCache: () => ({sourceMap})
+      }, {
+        sourcesContent: true
+      });
+      store.create('test.js');
+      return store.sourceMap('test.js')
+        .then(sourceMap => {
+          assert.deepEqual(
+            JSON.parse(sourceMap).sourcesContent,
+            [fs.readFileSync(__filename, 'utf8'), null, 'preprocessed content']
+          );
+        });
+    });
   });
   describe('##fileDependencies', () => {
     it('should return an empty array', () => {
@@ -1442,5 +2155,31 @@ describe('unfort/jobs', () => {
       store.create('test.js');
       return assert.becomes(store.fileDependencies('test.js'), []);
     });
+    it('should return the partials included by preprocessors', () => {
+      const store = createTestStore({
+        readCache: () => ({}),
+        preprocessStylesheet: () => ({fileDependencies: [__filename]})
+      });
+      store.create('test.scss');
+      return assert.becomes(store.fileDependencies('test.scss'), [__filename]);
+    });
+    it('should call the `fileDependencies` hook of the file type', () => {
+      const store = createTestStore({
+        readCache: () => ({})
+      }, {
+        fileTypes: {
+          '.styl': stylesheetFileType.set('fileDependencies', () => [__filename])
+        }
+      });
+      store.create('test.styl');
+      return assert.becomes(store.fileDependencies('test.styl'), [__filename]);
+    });
+    it('should use cached data if available', () => {
+      const store = createTestStore({
+        readCache: () => ({fileDependencies: ['test cached file']})
+      });
+      store.create('test.scss');
+      return assert.becomes(store.fileDependencies('test.scss'), ['test cached file']);
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,181 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import imm from 'immutable';
+import rimraf from 'rimraf';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
+import {createState} from '../state';
+import {writeBuildOutput, readStream} from '../output';
+import {createRecordInjectionStream} from '../streams';
+import {assert} from './assert';
+
+describe('unfort/output', () => {
+  const outputDir = path.join(os.tmpdir(), 'unfort-output-test');
+
+  beforeEach(done => rimraf(outputDir, done));
+  after(done => rimraf(outputDir, done));
+
+  function createTestBuild(overrides={}) {
+    const state = createState(Object.assign({
+      sourceRoot: '/foo',
+      rootUrl: '/static/',
+      bootstrapRuntime: '/foo/bootstrap.js',
+      entryPoints: ['/foo/main.js'],
+      nodes: createNodesFromNotation(`
+        /foo/main.js -> /foo/style.css
+        /foo/main.js -> /foo/data.json
+      `),
+      records: imm.Map({
+        '/foo/bootstrap.js': {
+          name: '/foo/bootstrap.js',
+          data: {content: 'bootstrap'}
+        },
+        '/foo/main.js': {
+          name: '/foo/main.js',
+          data: {
+            url: '/static/main-1.js',
+            assetKind: 'script',
+            isTextFile: true,
+            content: 'main',
+            sourceMapAnnotation: '\n//# main source map'
+          }
+        },
+        '/foo/style.css': {
+          name: '/foo/style.css',
+          data: {
+            url: '/static/style-2.css',
+            assetKind: 'style',
+            isTextFile: true,
+            content: 'style',
+            moduleDefinition: 'style module definition',
+            sourceMapAnnotation: null
+          }
+        },
+        '/foo/data.json': {
+          name: '/foo/data.json',
+          data: {
+            url: '/static/data/data-3.json',
+            assetKind: 'script',
+            isTextFile: true,
+            content: 'data',
+            sourceMapAnnotation: null
+          }
+        }
+      })
+    }, overrides));
+
+    return {
+      getState: () => state
+    };
+  }
+
+  describe('#writeBuildOutput', () => {
+    it('should reject if an `outputDir` is not provided', () => {
+      return assert.isRejected(
+        writeBuildOutput(createTestBuild()),
+        /An `outputDir` option must be provided/
+      );
+    });
+    it('should write the content of each record to the path indicated by its url', () => {
+      return writeBuildOutput(createTestBuild(), {outputDir})
+        .then(() => {
+          assert.equal(
+            fs.readFileSync(path.join(outputDir, 'main-1.js'), 'utf8'),
+            'main\n//# main source map'
+          );
+          assert.equal(
+            fs.readFileSync(path.join(outputDir, 'style-2.css'), 'utf8'),
+            'style'
+          );
+          assert.equal(
+            fs.readFileSync(path.join(outputDir, 'data', 'data-3.json'), 'utf8'),
+            'data'
+          );
+        });
+    });
+    it('should write a manifest that maps source names to urls', () => {
+      return writeBuildOutput(createTestBuild(), {outputDir})
+        .then(manifest => {
+          assert.deepEqual(
+            JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8')),
+            manifest
+          );
+          assert.deepEqual(manifest.entryPoints, ['main.js']);
+          assert.deepEqual(manifest.records, {
+            'main.js': '/static/main-1.js',
+            'style.css': '/static/style-2.css',
+            'data.json': '/static/data/data-3.json'
+          });
+          assert.deepEqual(manifest.styles, ['/static/style-2.css']);
+          assert.deepEqual(manifest.scripts, ['/static/data/data-3.json', '/static/main-1.js']);
+        });
+    });
+    it('should rewrite the file urls of source maps to paths relative to the source root', () => {
+      const sourceMap = JSON.stringify({
+        version: 3,
+        sources: ['file:///foo/main.js?1', 'file:///bar/lib.js?2', 'webpack:///lib.js'],
+        mappings: ''
+      });
+      const base64 = map => Buffer.from(map).toString('base64');
+
+      const build = createTestBuild();
+      const {records} = build.getState();
+      const main = records.get('/foo/main.js');
+      main.data = Object.assign({}, main.data, {
+        sourceMap,
+        sourceMapAnnotation: '\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,' + base64(sourceMap)
+      });
+      const data = records.get('/foo/data.json');
+      data.data = Object.assign({}, data.data, {
+        sourceMap,
+        sourceMapUrl: '/static/data/data-3.json.map',
+        sourceMapAnnotation: '\n//# sourceMappingURL=/static/data/data-3.json.map'
+      });
+
+      const expectedSources = ['main.js?1', '../bar/lib.js?2', 'webpack:///lib.js'];
+
+      return writeBuildOutput(build, {outputDir})
+        .then(() => {
+          const inlined = fs.readFileSync(path.join(outputDir, 'main-1.js'), 'utf8').split('base64,')[1];
+          assert.deepEqual(JSON.parse(Buffer.from(inlined, 'base64').toString()).sources, expectedSources);
+
+          const external = fs.readFileSync(path.join(outputDir, 'data', 'data-3.json.map'), 'utf8');
+          assert.deepEqual(JSON.parse(external).sources, expectedSources);
+          assert.notInclude(external, 'file://');
+        });
+    });
+    it('should preserve source maps that were relocated to a source root url', () => {
+      const sourceMap = JSON.stringify({version: 3, sourceRoot: '/__source__/', sources: ['main.js?1'], mappings: ''});
+
+      const build = createTestBuild({sourceRootUrl: '/__source__/'});
+      const record = build.getState().records.get('/foo/data.json');
+      record.data = Object.assign({}, record.data, {
+        sourceMap,
+        sourceMapUrl: '/static/data/data-3.json.map',
+        sourceMapAnnotation: '\n//# sourceMappingURL=/static/data/data-3.json.map'
+      });
+
+      return writeBuildOutput(build, {outputDir})
+        .then(() => {
+          assert.equal(
+            fs.readFileSync(path.join(outputDir, 'data', 'data-3.json.map'), 'utf8'),
+            sourceMap
+          );
+        });
+    });
+    it('should write the injection script to the url indicated in the manifest', () => {
+      const build = createTestBuild();
+      return writeBuildOutput(build, {outputDir})
+        .then(manifest => {
+          const filename = manifest.url.slice('/static/'.length);
+          return readStream(createRecordInjectionStream(build))
+            .then(injectionScript => {
+              assert.equal(
+                fs.readFileSync(path.join(outputDir, filename), 'utf8'),
+                injectionScript
+              );
+            });
+        });
+    });
+  });
+});
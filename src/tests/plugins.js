@@ -0,0 +1,103 @@
+import {validatePlugins, applyPluginJobs, callPluginHook} from '../plugins';
+import {assert} from './assert';
+
+describe('unfort/plugins', () => {
+  describe('#validatePlugins', () => {
+    it('should accept plugins that define hooks and jobs', () => {
+      validatePlugins([
+        {
+          name: 'test',
+          jobs: () => ({}),
+          buildStarted() {},
+          buildCompleted() {}
+        },
+        {}
+      ]);
+    });
+    it('should throw if a plugin is not an object', () => {
+      assert.throws(
+        () => validatePlugins([null]),
+        'Plugin 0 must be an object'
+      );
+    });
+    it('should throw if a plugin defines an unknown hook', () => {
+      assert.throws(
+        () => validatePlugins([{name: 'test', buildComplete() {}}]),
+        'Plugin "test" defines an unknown hook "buildComplete"'
+      );
+    });
+    it('should throw if a hook is not a function', () => {
+      assert.throws(
+        () => validatePlugins([{}, {buildStarted: true}]),
+        'Plugin 1 defines "buildStarted", which must be a function'
+      );
+    });
+  });
+  describe('#applyPluginJobs', () => {
+    it('should apply the job overrides of each plugin in order', () => {
+      const jobs = {
+        foo: () => 'foo',
+        bar: () => 'bar'
+      };
+      const plugins = [
+        {
+          jobs: defaults => ({
+            foo: () => defaults.foo() + ' 1'
+          })
+        },
+        {},
+        {
+          jobs: defaults => ({
+            foo: () => defaults.foo() + ' 2',
+            woz: () => 'woz'
+          })
+        }
+      ];
+      const newJobs = applyPluginJobs(jobs, plugins);
+      assert.equal(newJobs.foo(), 'foo 1 2');
+      assert.equal(newJobs.bar(), 'bar');
+      assert.equal(newJobs.woz(), 'woz');
+      assert.notStrictEqual(newJobs, jobs);
+    });
+  });
+  describe('#callPluginHook', () => {
+    it('should call the hook of each plugin that defines it', () => {
+      const calls = [];
+      const plugins = [
+        {buildCompleted: (...args) => calls.push(['a', ...args])},
+        {buildStarted: () => calls.push(['b'])},
+        {buildCompleted: (...args) => calls.push(['c', ...args])}
+      ];
+      callPluginHook(plugins, 'buildCompleted', ['state', 'data'], () => {});
+      assert.deepEqual(calls, [
+        ['a', 'state', 'data'],
+        ['c', 'state', 'data']
+      ]);
+    });
+    it('should pass errors to the handler, rather than interrupting the other plugins', () => {
+      const errors = [];
+      let called = false;
+      const err = new Error('test');
+      const plugins = [
+        {
+          name: 'test',
+          buildStarted() {
+            throw err;
+          }
+        },
+        {
+          buildStarted() {
+            called = true;
+          }
+        }
+      ];
+      callPluginHook(plugins, 'buildStarted', [], (err, description) => {
+        errors.push([err, description]);
+      });
+      assert.isTrue(called);
+      assert.deepEqual(errors, [
+        [err, 'Plugin "test" failed during `buildStarted`']
+      ]);
+    });
+  });
+});
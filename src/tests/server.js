@@ -0,0 +1,352 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import {Readable} from 'stream';
+import imm from 'immutable';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
+import {createState} from '../state';
+import {createMiddleware, createErrorPage} from '../server';
+import {assert} from './assert';
+
+describe('unfort/server', () => {
+  describe('#createMiddleware', () => {
+    let server;
+
+    afterEach(done => {
+      if (server) {
+        server.close(() => done());
+        server = null;
+      } else {
+        done();
+      }
+    });
+
+    function createTestBuild(errors=null) {
+      let state = createState({
+        rootUrl: 'http://test/__file__/',
+        bootstrapRuntime: '/foo/bootstrap.js',
+        entryPoints: ['/foo/main.js'],
+        entryGroups: {
+          main: ['/foo/main.js']
+        },
+        nodes: createNodesFromNotation('/foo/main.js -> /foo/image.png'),
+        errors,
+        records: imm.Map({
+          '/foo/bootstrap.js': {
+            name: '/foo/bootstrap.js',
+            data: {content: 'bootstrap'}
+          },
+          '/foo/main.js': {
+            name: '/foo/main.js',
+            data: {
+              url: 'http://test/__file__/main-1.js',
+              mimeType: 'application/javascript',
+              assetKind: 'script',
+              isTextFile: true,
+              content: 'main',
+              moduleDefinition: 'main definition',
+              sourceMapAnnotation: '\n//# main source map'
+            }
+          },
+          '/foo/image.png': {
+            name: __filename,
+            data: {
+              url: 'http://test/__file__/image.png',
+              mimeType: 'image/png',
+              assetKind: 'url',
+              isTextFile: false,
+              moduleDefinition: 'image definition'
+            }
+          }
+        })
+      });
+      state = state.set(
+        'recordsByUrl',
+        state.records
+          .filter(record => Boolean(record.data.url))
+          .mapKeys((_, record) => record.data.url)
+      );
+
+      return {
+        getState: () => state,
+        setState: newState => state = newState,
+        onCompleted: cb => cb(),
+        hasErrors: () => Boolean(state.errors),
+        describeErrors: () => state.errors.map(err => err.message).join('\n')
+      };
+    }
+
+    function listen(middleware) {
+      server = http.createServer((req, res) => {
+        middleware(req, res, () => {
+          res.statusCode = 418;
+          res.end('next');
+        });
+      });
+      return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    }
+
+    function request(path, headers={}) {
+      return new Promise((resolve, reject) => {
+        http.get({
+          hostname: '127.0.0.1',
+          port: server.address().port,
+          path,
+          headers
+        }, res => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', data => body += data);
+          res.on('end', () => resolve({res, body}));
+        })
+          .on('error', reject);
+      });
+    }
+
+    it('should serve the content of text records with their source map annotations', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/__file__/main-1.js'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['content-type'], 'application/javascript');
+          assert.equal(body, 'main\n//# main source map');
+        });
+    });
+    it('should serve external source maps by their url', () => {
+      const build = createTestBuild();
+      const state = build.getState();
+      const record = state.records.get('/foo/main.js');
+      const recordWithMap = Object.assign({}, record, {
+        data: Object.assign({}, record.data, {
+          sourceMapUrl: 'http://test/__file__/main-1.js.map',
+          sourceMap: '{"version":3}'
+        })
+      });
+      build.setState(
+        state.set('recordsByUrl', state.recordsByUrl.set('http://test/__file__/main-1.js.map', recordWithMap))
+      );
+      return listen(createMiddleware(build))
+        .then(() => request('/__file__/main-1.js.map'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['content-type'], 'application/json');
+          assert.equal(body, '{"version":3}');
+        });
+    });
+    it('should serve the original sources of records if a `sourceRootUrl` is defined', () => {
+      const build = createTestBuild();
+      const state = build.getState();
+      build.setState(
+        state.merge({
+          sourceRoot: path.dirname(__filename),
+          sourceRootUrl: '/__source__/',
+          records: state.records.set(__filename, {name: __filename, data: {}})
+        })
+      );
+      return listen(createMiddleware(build))
+        .then(() => Promise.all([
+          request(`/__source__/${path.basename(__filename)}?123`),
+          request('/__source__/assert.js')
+        ]))
+        .then(([source, unknown]) => {
+          assert.equal(source.res.statusCode, 200);
+          assert.include(source.body, 'should serve the original sources of records');
+          assert.equal(unknown.res.statusCode, 404);
+        });
+    });
+    it('should serve the sources that the source maps of records point to', () => {
+      const build = createTestBuild();
+      const state = build.getState();
+      const sourceMap = JSON.stringify({
+        version: 3,
+        sources: [`${path.basename(__filename)}?123`],
+        sourceRoot: '/__source__/',
+        mappings: ''
+      });
+      build.setState(
+        state.merge({
+          sourceRoot: path.dirname(__filename),
+          sourceRootUrl: '/__source__/',
+          records: state.records.set('/foo/vendor.js', {name: '/foo/vendor.js', data: {sourceMap}})
+        })
+      );
+      return listen(createMiddleware(build))
+        .then(() => Promise.all([
+          request(`/__source__/${path.basename(__filename)}`),
+          request('/__source__/assert.js')
+        ]))
+        .then(([source, unknown]) => {
+          assert.equal(source.res.statusCode, 200);
+          assert.include(source.body, 'should serve the sources that the source maps of records point to');
+          assert.equal(unknown.res.statusCode, 404);
+        });
+    });
+    it('should serve original sources from the path of the `sourceRootUrl`', () => {
+      const build = createTestBuild();
+      const state = build.getState();
+      build.setState(
+        state.merge({
+          sourceRoot: path.dirname(__filename),
+          sourceRootUrl: 'http://test/sources/',
+          records: state.records.set(__filename, {name: __filename, data: {}})
+        })
+      );
+      return listen(createMiddleware(build))
+        .then(() => Promise.all([
+          request(`/sources/${path.basename(__filename)}`),
+          request(`/__source__/${path.basename(__filename)}`)
+        ]))
+        .then(([source, defaultEndpoint]) => {
+          assert.equal(source.res.statusCode, 200);
+          assert.include(source.body, 'should serve original sources from the path of the `sourceRootUrl`');
+          assert.equal(defaultEndpoint.res.statusCode, 418);
+        });
+    });
+    it('should not serve original sources if a `sourceRootUrl` is not defined', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request(`/__source__/${path.basename(__filename)}`))
+        .then(({res}) => {
+          assert.equal(res.statusCode, 418);
+        });
+    });
+    it('should stream binary records from their original location', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/__file__/image.png'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['content-type'], 'image/png');
+          assert.include(body, 'should stream binary records from their original location');
+        });
+    });
+    it('should destroy the response if a stream fails after the headers were sent', () => {
+      const createReadStream = fs.createReadStream;
+      fs.createReadStream = () => {
+        const stream = new Readable({read() {}});
+        stream.push('partial');
+        setTimeout(() => stream.emit('error', new Error('Read failure')), 10);
+        return stream;
+      };
+
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => new Promise(resolve => {
+          http.get({
+            hostname: '127.0.0.1',
+            port: server.address().port,
+            path: '/__file__/image.png'
+          }, res => {
+            assert.equal(res.statusCode, 200);
+            res.on('error', resolve);
+            res.on('aborted', resolve);
+            res.resume();
+          });
+        }))
+        .then(() => {
+          fs.createReadStream = createReadStream;
+          return request('/__file__/main-1.js');
+        })
+        .then(({res}) => {
+          assert.equal(res.statusCode, 200);
+        }, err => {
+          fs.createReadStream = createReadStream;
+          throw err;
+        });
+    });
+    it('should serve chunks by their url', () => {
+      const build = createTestBuild();
+      build.setState(build.getState().set('chunksByUrl', imm.Map({
+        'http://test/__file__/unfort-chunk-1.js': {
+          content: 'chunk',
+          sourceMapAnnotation: '\n//# chunk source map'
+        }
+      })));
+      return listen(createMiddleware(build))
+        .then(() => request('/__file__/unfort-chunk-1.js'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 200);
+          assert.equal(body, 'chunk\n//# chunk source map');
+        });
+    });
+    it('should respond with a 404 for unknown files', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/__file__/missing.js'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 404);
+          assert.equal(body, 'Not Found');
+        });
+    });
+    it('should serve a script that injects the entry points', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/bundle.js'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 200);
+          assert.equal(res.headers['content-type'], 'application/javascript');
+          assert.include(body, 'bootstrap');
+          assert.include(body, '__modules.executeModule("/foo/main.js")');
+        });
+    });
+    it('should inject the entry points of a named entry group', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/bundle.js?group=main'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 200);
+          assert.include(body, '__modules.entryGroup = "main";');
+          assert.include(body, '__modules.executeModule("/foo/main.js")');
+        });
+    });
+    it('should respond with a 404 for unknown entry groups', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/bundle.js?group=admin'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 404);
+          assert.equal(body, 'Unknown entry group "admin". Available groups: ["main"]');
+        });
+    });
+    it('should accept custom endpoints', () => {
+      const middleware = createMiddleware(createTestBuild(), {
+        fileEndpoint: '/static/',
+        bundleUrl: '/main.js'
+      });
+      return listen(middleware)
+        .then(() => Promise.all([
+          request('/static/main-1.js'),
+          request('/main.js')
+        ]))
+        .then(([file, bundle]) => {
+          assert.equal(file.res.statusCode, 200);
+          assert.equal(file.body, 'main\n//# main source map');
+          assert.equal(bundle.res.statusCode, 200);
+        });
+    });
+    it('should describe build errors', () => {
+      return listen(createMiddleware(createTestBuild([new Error('test error')])))
+        .then(() => request('/__file__/main-1.js'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 500);
+          assert.equal(res.headers['content-type'], 'text/plain');
+          assert.equal(body, 'test error');
+        });
+    });
+    it('should render an error page for browsers', () => {
+      return listen(createMiddleware(createTestBuild([new Error('<test error>')])))
+        .then(() => request('/bundle.js', {accept: 'text/html'}))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 500);
+          assert.equal(res.headers['content-type'], 'text/html');
+          assert.equal(body, createErrorPage('<test error>'));
+        });
+    });
+    it('should pass other requests to the next handler', () => {
+      return listen(createMiddleware(createTestBuild()))
+        .then(() => request('/some/other/path'))
+        .then(({res, body}) => {
+          assert.equal(res.statusCode, 418);
+          assert.equal(body, 'next');
+        });
+    });
+  });
+  describe('#createErrorPage', () => {
+    it('should escape the message', () => {
+      assert.include(createErrorPage('<script>'), '<pre>&lt;script&gt;</pre>');
+    });
+  });
+});
@@ -27,5 +27,26 @@ describe('unfort/state', () => {
       assert.equal(state.cacheDirectory, 'test cache dir');
       assert.equal(state.jobCache, 'test job cache');
     });
+    it('should merge any file types with the defaults', () => {
+      const state = createState({
+        fileTypes: {
+          '.txt': {isTextFile: true, transform: () => {}}
+        }
+      });
+
+      assert.equal(state.fileTypes['.js'].assetKind, 'script');
+      assert.equal(state.fileTypes['.txt'].assetKind, 'url');
+    });
+    it('should add the entry points of any entry groups', () => {
+      const state = createState({
+        entryPoints: ['/foo/main.js'],
+        entryGroups: {
+          admin: ['/foo/admin.js', '/foo/main.js'],
+          public: ['/foo/public.js']
+        }
+      });
+
+      assert.deepEqual(state.entryPoints, ['/foo/main.js', '/foo/admin.js', '/foo/public.js']);
+    });
   });
 });
\ No newline at end of file
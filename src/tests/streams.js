@@ -0,0 +1,108 @@
+import imm from 'immutable';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
+import {createState} from '../state';
+import {createChunksByUrl} from '../chunks';
+import {createRecordLoaderStream, resolveEntryPoints} from '../streams';
+import {assert} from './assert';
+
+describe('unfort/streams', () => {
+  function createTestBuild() {
+    let state = createState({
+      rootUrl: '/static/',
+      bootstrapRuntime: 'bootstrap.js',
+      entryPoints: ['a.js'],
+      entryGroups: {
+        admin: ['a.js']
+      },
+      nodes: createNodesFromNotation(`
+        a.js -> b.css
+        a.js -> c.js
+      `),
+      records: imm.Map({
+        'bootstrap.js': {
+          name: 'bootstrap.js',
+          data: {content: 'bootstrap'}
+        },
+        'a.js': {
+          name: 'a.js',
+          data: {url: '/static/a.js', hash: '1', assetKind: 'script', moduleDefinition: 'a'}
+        },
+        'b.css': {
+          name: 'b.css',
+          data: {url: '/static/b.css', hash: '2', assetKind: 'style', moduleDefinition: 'b'}
+        },
+        'c.js': {
+          name: 'c.js',
+          data: {url: '/static/c.js', hash: '3', assetKind: 'script', moduleDefinition: 'c'}
+        }
+      })
+    });
+
+    return {
+      getState: () => state,
+      setState: newState => state = newState
+    };
+  }
+
+  function readStream(stream) {
+    return new Promise((resolve, reject) => {
+      let content = '';
+      stream.on('data', data => content += data);
+      stream.on('end', () => resolve(content));
+      stream.on('error', reject);
+    });
+  }
+
+  describe('#createRecordLoaderStream', () => {
+    it('should load the records in execution order, then execute the entry points', () => {
+      return readStream(createRecordLoaderStream(createTestBuild()))
+        .then(content => {
+          assert.include(content, 'bootstrap');
+          assert.notInclude(content, 'document.write');
+
+          const b = content.indexOf('{"name":"b.css"');
+          const c = content.indexOf('{"name":"c.js"');
+          const a = content.indexOf('{"name":"a.js"');
+          assert.isAbove(b, -1);
+          assert.isAbove(c, b);
+          assert.isAbove(a, c);
+
+          assert.include(content, '"moduleDefinition":"b"');
+          assert.include(content, 'var entryPoints = ["a.js"];');
+          assert.include(content, '__modules.ready = Promise.all(records.map(__modules.loadRecord));');
+        });
+    });
+    it('should load chunks and stylesheets when `chunks` is true', () => {
+      const build = createTestBuild();
+      build.setState(build.getState().set('chunksByUrl', createChunksByUrl(build.getState())));
+      return readStream(createRecordLoaderStream(build, {chunks: true}))
+        .then(content => {
+          const chunkUrls = build.getState().chunksByUrl.keySeq().toArray();
+          assert.lengthOf(chunkUrls, 1);
+          assert.include(content, `"url":"${chunkUrls[0]}","assetKind":"script"`);
+          assert.include(content, '{"name":"b.css"');
+          assert.notInclude(content, '{"name":"a.js"');
+        });
+    });
+    it('should inform the runtime of the entry group', () => {
+      return readStream(createRecordLoaderStream(createTestBuild(), {entryGroup: 'admin'}))
+        .then(content => {
+          assert.include(content, '__modules.entryGroup = "admin";');
+        });
+    });
+  });
+  describe('#resolveEntryPoints', () => {
+    it('should prefer the entry points of a named group', () => {
+      const state = createTestBuild().getState();
+      assert.deepEqual(resolveEntryPoints(state, {}), ['a.js']);
+      assert.deepEqual(resolveEntryPoints(state, {entryPoints: ['c.js']}), ['c.js']);
+      assert.deepEqual(resolveEntryPoints(state, {entryGroup: 'admin'}), ['a.js']);
+    });
+    it('should throw for unknown entry groups', () => {
+      assert.throws(
+        () => resolveEntryPoints(createTestBuild().getState(), {entryGroup: 'public'}),
+        'Unknown entry group "public". Available groups: ["admin"]'
+      );
+    });
+  });
+});
@@ -1 +1,213 @@
-import '../unfort';
\ No newline at end of file
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mkdirp from 'mkdirp';
+import rimraf from 'rimraf';
+import {createBuild} from '../unfort';
+import {assert} from './assert';
+
+describe('unfort/unfort', () => {
+  describe('#createBuild', () => {
+    const sourceRoot = path.join(os.tmpdir(), 'unfort-build-test');
+    const entryPoint = path.join(sourceRoot, 'main.js');
+
+    beforeEach(done => {
+      rimraf(sourceRoot, err => {
+        if (err) return done(err);
+        mkdirp.sync(sourceRoot);
+        fs.writeFileSync(entryPoint, 'module.exports = "main";');
+        done();
+      });
+    });
+    after(done => rimraf(sourceRoot, done));
+
+    function createTestBuild() {
+      return createBuild({
+        sourceRoot,
+        entryPoints: [entryPoint],
+        rootUrl: '/static/',
+        environmentHash: 'test',
+        logInfo() {},
+        logError() {}
+      });
+    }
+
+    function waitForCompletion(build) {
+      return new Promise(resolve => build.events.once('completed', resolve));
+    }
+
+    describe('#addEntryPoint', () => {
+      it('should trace the entry point and its dependencies', () => {
+        const page = path.join(sourceRoot, 'page.js');
+        const dep = path.join(sourceRoot, 'dep.js');
+        fs.writeFileSync(page, 'require("./dep");');
+        fs.writeFileSync(dep, 'module.exports = "dep";');
+
+        const build = createTestBuild();
+        build.start();
+
+        return waitForCompletion(build)
+          .then(() => {
+            assert.isFalse(build.getState().nodes.has(page));
+            build.addEntryPoint(page);
+            assert.deepEqual(build.getState().entryPoints, [entryPoint, page]);
+            return waitForCompletion(build);
+          })
+          .then(({errors, records}) => {
+            assert.isNull(errors);
+            assert.deepEqual(records.keySeq().toArray().sort(), [dep, page]);
+            assert.isTrue(build.getState().nodes.get(page).isEntryNode);
+            return build.stop();
+          });
+      });
+    });
+    describe('#removeEntryPoint', () => {
+      it('should prune the entry point and any dependencies that are no longer reachable', () => {
+        const page = path.join(sourceRoot, 'page.js');
+        const dep = path.join(sourceRoot, 'dep.js');
+        fs.writeFileSync(page, 'require("./dep"); require("./main");');
+        fs.writeFileSync(dep, 'module.exports = "dep";');
+
+        const build = createTestBuild();
+        build.addEntryPoint(page);
+        build.start();
+
+        return waitForCompletion(build)
+          .then(() => {
+            build.removeEntryPoint(page);
+            assert.deepEqual(build.getState().entryPoints, [entryPoint]);
+            return waitForCompletion(build);
+          })
+          .then(({errors, prunedNodes}) => {
+            assert.isNull(errors);
+            assert.deepEqual(prunedNodes.sort(), [dep, page]);
+            assert.isTrue(build.getState().nodes.has(entryPoint));
+            assert.isTrue(build.getState().nodes.get(entryPoint).isEntryNode);
+            return build.stop();
+          });
+      });
+      it('should preserve an entry point that other files depend on', () => {
+        const page = path.join(sourceRoot, 'page.js');
+        fs.writeFileSync(page, 'require("./main");');
+
+        const build = createTestBuild();
+        build.addEntryPoint(page);
+        build.start();
+
+        return waitForCompletion(build)
+          .then(() => {
+            build.removeEntryPoint(entryPoint);
+            return waitForCompletion(build);
+          })
+          .then(({errors, prunedNodes}) => {
+            assert.isNull(errors);
+            assert.deepEqual(prunedNodes, []);
+            assert.isFalse(build.getState().nodes.get(entryPoint).isEntryNode);
+            return build.stop();
+          });
+      });
+      it('should remove the entry point from any entry groups', () => {
+        const page = path.join(sourceRoot, 'page.js');
+        fs.writeFileSync(page, 'module.exports = "page";');
+
+        const build = createBuild({
+          sourceRoot,
+          entryGroups: {
+            main: [entryPoint],
+            page: [entryPoint, page]
+          },
+          rootUrl: '/static/',
+          environmentHash: 'test',
+          logInfo() {},
+          logError() {}
+        });
+        build.start();
+
+        return waitForCompletion(build)
+          .then(() => {
+            build.removeEntryPoint(page);
+            assert.deepEqual(build.getState().entryGroups, {
+              main: [entryPoint],
+              page: [entryPoint]
+            });
+            return waitForCompletion(build);
+          })
+          .then(({errors, prunedNodes}) => {
+            assert.isNull(errors);
+            assert.deepEqual(prunedNodes, [page]);
+            return build.stop();
+          });
+      });
+    });
+    describe('#emit', () => {
+      it('should reject if no options are provided', () => {
+        const build = createTestBuild();
+        build.start();
+
+        return assert.isRejected(build.emit(), 'An `outputDir` option must be provided')
+          .then(() => build.stop());
+      });
+    });
+    describe('#stop', () => {
+      it('should flush pending callbacks with an error if the build had not completed', () => {
+        const build = createTestBuild();
+        build.start();
+
+        let completed = false;
+        build.onCompleted(() => {
+          completed = true;
+        });
+
+        return build.stop()
+          .then(() => {
+            assert.isTrue(completed);
+            assert.isTrue(build.hasErrors());
+            assert.include(build.describeErrors(), 'The build was stopped before it completed');
+          });
+      });
+      it('should stop tracing once the build has stopped', () => {
+        const dep = path.join(sourceRoot, 'dep.js');
+        fs.writeFileSync(entryPoint, 'require("./dep");');
+        fs.writeFileSync(dep, 'module.exports = "dep";');
+
+        const build = createTestBuild();
+        let traced = 0;
+        build.events.on('traced', () => traced++);
+        build.start();
+
+        return build.stop()
+          .then(() => new Promise(resolve => setTimeout(resolve, 100)))
+          .then(() => {
+            assert.equal(traced, 0);
+            assert.isFalse(build.getState().recordStore.has(dep));
+            assert.equal(build.getState().graph.pendingJobs.length, 0);
+          });
+      });
+      it('should preserve the state of a completed build', () => {
+        const build = createTestBuild();
+        build.start();
+
+        return new Promise(resolve => build.onCompleted(resolve))
+          .then(() => build.stop())
+          .then(() => {
+            assert.isFalse(build.hasErrors());
+            assert.isTrue(build.getState().records.has(entryPoint));
+          });
+      });
+      it('should return the same promise when called multiple times', () => {
+        const build = createTestBuild();
+        build.start();
+        const stopped = build.stop();
+        assert.strictEqual(build.stop(), stopped);
+        return stopped;
+      });
+      it('should prevent the build from being restarted', () => {
+        const build = createTestBuild();
+        return build.stop()
+          .then(() => {
+            assert.throws(() => build.start(), 'The build has been stopped and cannot be restarted');
+          });
+      });
+    });
+  });
+});
@@ -2,10 +2,13 @@ import fs from 'fs';
 import chalk from 'chalk';
 import MemoryStream from 'memorystream';
 import babelCodeFrame from 'babel-code-frame';
+import imm from 'immutable';
+import {createNodesFromNotation} from 'cyclic-dependency-graph';
 import {assert} from './assert';
 import {
   createJSModuleDefinition, createRecordDescription, describeError, describeErrorList,
-  createRecordContentStream, createRecordSourceMapStream
+  createRecordContentStream, createRecordSourceMapStream, resolveSyncExecutionOrder,
+  resolveAsyncModules, composeSourceMaps, createErrorDescription, requireCompiler
 } from '../utils';
 
 describe('unfort/utils', () => {
@@ -34,17 +37,156 @@ describe('unfort/utils', () => {
           data: {
             hash: 'test_hash',
             url: 'test_url',
-            isTextFile: 'test_is_text_file'
+            isTextFile: 'test_is_text_file',
+            assetKind: 'script',
+            moduleDefinition: 'test_module_definition'
           }
         }),
         {
           name: 'test_name',
           hash: 'test_hash',
           url: 'test_url',
-          isTextFile: 'test_is_text_file'
+          isTextFile: 'test_is_text_file',
+          assetKind: 'script'
         }
       );
     });
+    it('should include the module definition of records that are not scripts', () => {
+      const description = createRecordDescription({
+        name: 'test_name',
+        data: {
+          hash: 'test_hash',
+          url: 'test_url',
+          isTextFile: true,
+          assetKind: 'style',
+          moduleDefinition: 'test_module_definition'
+        }
+      });
+      assert.equal(description.moduleDefinition, 'test_module_definition');
+    });
+  });
+  describe('#resolveSyncExecutionOrder', () => {
+    it('should resolve an execution order that omits async dependencies', () => {
+      const nodes = createNodesFromNotation(`
+        a -> b -> c
+        a -> d -> c
+      `);
+      const records = imm.Map({
+        a: {data: {asyncDependencies: ['d']}},
+        b: {data: {asyncDependencies: []}},
+        c: {data: {}}
+      });
+      assert.deepEqual(
+        resolveSyncExecutionOrder(records, nodes, ['a']),
+        ['c', 'b', 'a']
+      );
+    });
+  });
+  describe('#resolveAsyncModules', () => {
+    it('should map each async dependency to descriptions of the records that it requires', () => {
+      const nodes = createNodesFromNotation(`
+        a -> b -> c
+        a -> d -> c
+        d -> e -> f
+      `);
+      function createRecord(name, asyncDependencies) {
+        return {
+          name,
+          data: {hash: `${name} hash`, url: `${name} url`, isTextFile: true, asyncDependencies}
+        };
+      }
+      const records = imm.Map({
+        a: createRecord('a', ['d']),
+        b: createRecord('b', []),
+        c: createRecord('c', []),
+        d: createRecord('d', ['e']),
+        e: createRecord('e', []),
+        f: createRecord('f', [])
+      });
+      const asyncModules = resolveAsyncModules(records, nodes, ['a']);
+      assert.deepEqual(Object.keys(asyncModules), ['d', 'e']);
+      assert.deepEqual(
+        asyncModules.d,
+        [
+          createRecordDescription(records.get('c')),
+          createRecordDescription(records.get('d'))
+        ]
+      );
+      assert.deepEqual(
+        asyncModules.e,
+        [
+          createRecordDescription(records.get('f')),
+          createRecordDescription(records.get('e'))
+        ]
+      );
+    });
+    it('should produce an empty object if there are no async dependencies', () => {
+      const nodes = createNodesFromNotation('a -> b');
+      const records = imm.Map({
+        a: {data: {asyncDependencies: []}},
+        b: {data: {asyncDependencies: []}}
+      });
+      assert.deepEqual(resolveAsyncModules(records, nodes, ['a']), {});
+    });
+  });
+  describe('#composeSourceMaps', () => {
+    it('should map the generated code back to the sources of the input map', () => {
+      const map = {
+        version: 3,
+        sources: ['index.js'],
+        names: [],
+        mappings: 'AAAA'
+      };
+      const inputMap = {
+        version: 3,
+        sources: ['src/index.js'],
+        names: [],
+        mappings: 'AAAA'
+      };
+      const composed = composeSourceMaps(map, inputMap);
+      assert.deepEqual(composed.sources, ['src/index.js']);
+      assert.equal(composed.mappings, 'AAAA');
+    });
+  });
+  describe('#createErrorDescription', () => {
+    it('should describe the parts of an error', () => {
+      const err = new Error('test');
+      err.loc = {
+        line: 1,
+        column: 1
+      };
+      assert.deepEqual(
+        createErrorDescription(err, __filename),
+        {
+          file: __filename,
+          message: 'test',
+          codeFrame: babelCodeFrame(fs.readFileSync(__filename, 'utf8'), 1, 1),
+          stack: err.stack,
+          loc: {line: 1, column: 1}
+        }
+      );
+    });
+    it('should describe values that are not errors', () => {
+      assert.deepEqual(
+        createErrorDescription('Unknown text file extension', 'test.foo'),
+        {
+          file: 'test.foo',
+          message: 'Unknown text file extension',
+          codeFrame: null,
+          stack: null,
+          loc: null
+        }
+      );
+    });
+    it('should remove ANSI escape codes', () => {
+      const err = new Error(chalk.red('test'));
+      err.codeFrame = chalk.red('test code frame');
+      const description = createErrorDescription(err);
+      assert.isNull(description.file);
+      assert.equal(description.message, 'test');
+      assert.equal(description.codeFrame, 'test code frame');
+      assert.notInclude(description.stack, '\u001b');
+    });
   });
   describe('#describeError', () => {
     it('should accept an error and produce a textual representation for logging', () => {
@@ -141,4 +283,15 @@ describe('unfort/utils', () => {
       );
     });
   });
+  describe('#requireCompiler', () => {
+    it('should return the compiler\'s package', () => {
+      assert.strictEqual(requireCompiler('sass', '.scss'), require('sass'));
+    });
+    it('should name the package to install if it is missing', () => {
+      assert.throws(
+        () => requireCompiler('unfort-missing-compiler', '.foo'),
+        'The "unfort-missing-compiler" package must be installed to compile .foo files. Install it with `npm install --save-dev unfort-missing-compiler`'
+      );
+    });
+  });
 });
\ No newline at end of file
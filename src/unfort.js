@@ -1,11 +1,11 @@
 import path from 'path';
 import fs from 'fs';
+import EventEmitter from 'events';
 import chalk from 'chalk';
-import stripAnsi from 'strip-ansi';
 import imm from 'immutable';
 import {includes} from 'lodash/collection';
 import {repeat} from 'lodash/string';
-import {values} from 'lodash/object';
+import {values, mapValues} from 'lodash/object';
 import sourceMapSupport from 'source-map-support';
 import envHash from 'env-hash';
 import rimraf from 'rimraf';
@@ -14,15 +14,39 @@ import {createGraph} from 'cyclic-dependency-graph';
 import {createRecordStore} from 'record-store';
 import {createJobs} from './jobs';
 import {createWatchers} from './watchers';
-import {createRecordDescription, describeError, describeErrorList} from './utils';
+import {writeBuildOutput} from './output';
+import {
+  createRecordDescription, createErrorDescription, describeError, describeErrorList, resolveSyncExecutionOrder,
+  resolveAsyncModules
+} from './utils';
+import {createChunksByUrl} from './chunks';
 import {createState} from './state';
+import {resolveBuildOptions, validateRequiredOptions} from './config';
+import {validatePlugins, applyPluginJobs, callPluginHook} from './plugins';
 import packageJson from '../package.json';
 
 // Convenience hook for referencing the hot runtime in entry points
 export {hotRuntime} from './state';
 
 // Convenience hooks to expose web server boilerplate streams
-export {createBootstrapStream, createRecordInjectionStream, createRecordEvalStream} from './streams';
+export {
+  createBootstrapStream, createRecordInjectionStream, createRecordLoaderStream, createRecordEvalStream
+} from './streams';
+
+// Convenience hook to concatenate records into chunks
+export {createChunks} from './chunks';
+
+// Convenience hooks to serve a build during development
+export {createServer, createMiddleware as middleware} from './server';
+
+// Convenience hook to write a build to disk
+export {writeBuildOutput} from './output';
+
+// Convenience hooks to define or extend the handling of file types
+export {
+  FileType, scriptFileType, typescriptFileType, jsonFileType, stylesheetFileType, sassFileType, lessFileType,
+  htmlFileType, binaryFileType
+} from './file-types';
 
 /**
  * Binds some helpers to the process which provide more clarity
@@ -39,8 +63,21 @@ export function installDebugHelpers() {
   });
 }
 
+/**
+ * Creates a build from the provided options, or the options exported
+ * by a `configFile`
+ *
+ * @param {object} [options] - any of the fields of the `State` record
+ * @param {string} [options.configFile] - a path to a config file
+ * @returns {object}
+ */
 export function createBuild(options={}) {
-  let state = createState(options);
+  let state = createState(resolveBuildOptions(options));
+
+  validatePlugins(state.plugins);
+
+  // Enables tooling to observe the build, see the `build.events` docs
+  const events = new EventEmitter();
 
   function setState(newState) {
     state = newState;
@@ -50,9 +87,22 @@ export function createBuild(options={}) {
     return state;
   }
 
+  function callHook(hook, ...args) {
+    callPluginHook(state.plugins, hook, [state, ...args], (err, description) => {
+      err.message = `${description}: ${err.message}`;
+      emitError(getState, events, err);
+    });
+  }
+
   if (!state.graph) {
     const graph = createGraph({
       getDependencies: file => {
+        // Once the build has stopped, any pending traces are left to drain
+        // without creating records or watching files
+        if (isStopped) {
+          return Promise.resolve([]);
+        }
+
         // Ensure that the record store is synchronised with the graph
         if (!state.recordStore.has(file)) {
           state.recordStore.create(file);
@@ -73,41 +123,72 @@ export function createBuild(options={}) {
   }
 
   let traceStart;
-  state.graph.events.on('started', () => {
+  function signalTraceStarted() {
     traceStart = (new Date()).getTime();
 
     signalBuildStarted();
     state.getSockets()
       .forEach(socket => socket.emit('unfort:build-started'));
-  });
+
+    events.emit('started');
+
+    callHook('buildStarted');
+  }
+  state.graph.events.on('started', signalTraceStarted);
 
   // Handle any errors that occur during dependency resolution
   state.graph.events.on('error', ({node, error}) => {
-    emitError(getState, error, node);
+    if (isStopped) {
+      return;
+    }
+
+    emitError(getState, events, error, node);
   });
 
-  // Provide progress indicators while we build the graph
+  // Provide progress indicators while we build the graph. We skip them
+  // if the output is redirected, as the carriage returns would end up
+  // in the output
   state.graph.events.on('traced', () => {
+    if (isStopped) {
+      return;
+    }
+
     const known = state.graph.getState().size;
     const done = known - state.graph.pendingJobs.length;
+
+    events.emit('traced', {done, known});
+
+    if (!process.stdout.isTTY) {
+      return;
+    }
+
     const message = `\r${chalk.bold('Trace:')} ${done} / ${known}`;
     process.stdout.write(message);
   });
 
   state.graph.events.on('completed', ({errors}) => {
+    if (isStopped) {
+      return;
+    }
+
     // Clear the progress indicator
-    process.stdout.write('\n');
+    if (process.stdout.isTTY) {
+      process.stdout.write('\n');
+    }
 
     const elapsed = (new Date()).getTime() - traceStart;
     state.logInfo(`${chalk.bold('Trace elapsed:')} ${elapsed}ms`);
 
+    callHook('traceCompleted', {nodes: state.graph.getState(), errors});
+
     if (errors.length) {
       // The `error` handler on the graph has already emitted these errors,
       // so we just report a total and flush any pending callbacks
       state.logInfo(`${chalk.bold('Errors:')} ${errors.length}`);
       setState(state.set('errors', errors));
       state.logInfo(repeat('-', 80));
-      return signalBuildCompleted();
+      callHook('buildFailed', errors);
+      return signalBuildCompleted({errors});
     }
 
     // Traverse the graph and prune all nodes which are disconnected from
@@ -138,11 +219,12 @@ export function createBuild(options={}) {
     Promise.all(
       graphState.keySeq().toArray().map(name => {
         return state.recordStore.ready(name)
+          .then(() => callHook('recordReady', state.recordStore.get(name)))
           // We catch individual failures as this enables us to stream out errors as
           // they occur. Additionally, this also provides more clarity when multiple
           // records fail
           .catch(err => {
-            emitError(getState, err, name);
+            emitError(getState, events, err, name);
 
             const errObject = {
               error: err,
@@ -155,12 +237,18 @@ export function createBuild(options={}) {
       })
     )
       .then(() => {
+        if (isStopped) {
+          return;
+        }
+
         // If the graph is still the same as when we started the code generation,
         // then we start pushing the code towards the user
         if (state.graph.getState() === graphState) {
           const elapsed = (new Date()).getTime() - codeGenerationState;
           state.logInfo(`${chalk.bold('Code generation elapsed:')} ${elapsed}ms`);
 
+          callHook('codeGenerationCompleted', {records: state.recordStore.getState()});
+
           const prevState = getState();
 
           const nodeState = state.graph.getState();
@@ -190,33 +278,54 @@ export function createBuild(options={}) {
           const recordsState = state.recordStore.getState();
           const prevRecordsState = prevState.records;
 
+          // The records that were added or updated during the build. Note: we
+          // compare hashes, as jobs that run after a build (eg: cache writes)
+          // will have replaced every record
+          const changedRecords = recordsState.filter((record, name) => {
+            const prevRecord = prevRecordsState && prevRecordsState.get(name);
+            return !prevRecord || prevRecord.data.hash !== record.data.hash;
+          });
+
+          const nextState = prevState.merge({
+            records: recordsState,
+            nodes: nodeState,
+            // Clear out any errors from previous builds
+            errors: null,
+            // Maps of records by their `url` job. This enables trivial record
+            // lookups in web servers and saves us from having to iterate over
+            // every record
+            recordsByUrl: createRecordsByUrl(recordsState),
+            // Maps of files and the records that they are dependencies of.
+            // The file watcher uses this to invalidate records when a dependency
+            // changes
+            recordsByFileDependencies: createRecordsByFileDependencies(recordsState)
+          });
+
           setState(
-            prevState.merge({
-              records: recordsState,
-              nodes: nodeState,
-              // Clear out any errors from previous builds
-              errors: null,
-              // Maps of records by their `url` job. This enables trivial record
-              // lookups in web servers and saves us from having to iterate over
-              // every record
-              recordsByUrl: recordsState
-                .filter(record => Boolean(record.data.url))
-                .mapKeys((_, record) => record.data.url),
-              // Maps of files and the records that they are dependencies of.
-              // The file watcher uses this to invalidate records when a dependency
-              // changes
-              recordsByFileDependencies: createRecordsByFileDependencies(recordsState)
-            })
+            nextState.set(
+              'chunksByUrl',
+              // Chunks are generated before any clients are signalled, so that
+              // serving them never modifies the state
+              nextState.chunks ? createChunksByUrl(nextState) : null
+            )
           );
 
+          // Ensure that we observe any files that records were generated
+          // from, such as the partials of a Sass stylesheet
+          getState().recordsByFileDependencies
+            .keySeq()
+            .forEach(file => state.watchers.watchFile(file));
+
           // Signal any connected clients that the build is completed
           emitBuild(getState, {prunedNodes, prevRecordsState});
 
+          callHook('buildCompleted', {prunedNodes, prevRecords: prevRecordsState});
+
           // We write all the computationally expensive data to disk, so that
           // we can reduce the startup cost of repeated builds
           state.logInfo(`${chalk.bold('Cache write:')} ${recordsState.size} records...`);
           const cacheWriteStart = (new Date()).getTime();
-          Promise.all(
+          pendingCacheWrite = Promise.all(
             recordsState.keySeq().toArray()
               .map(name => state.recordStore.writeCache(name))
           )
@@ -233,7 +342,7 @@ export function createBuild(options={}) {
               }
 
               err.message = 'Cache write error: ' + err.message;
-              emitError(getState, err);
+              emitError(getState, events, err);
             })
             .then(() => {
               const elapsed = (new Date()).getTime() - traceStart;
@@ -243,14 +352,18 @@ export function createBuild(options={}) {
               // has finished
               state.logInfo(repeat('-', 80));
 
-              signalBuildCompleted();
+              signalBuildCompleted({prunedNodes, records: changedRecords});
             });
         }
       })
       .catch(err => {
+        if (isStopped) {
+          return;
+        }
+
         // Handle any errors that occurred during the emit
         if (!includes(errorsDuringCodeGeneration, err)) {
-          emitError(getState, err);
+          emitError(getState, events, err);
           errorsDuringCodeGeneration.push(err);
         }
 
@@ -259,13 +372,25 @@ export function createBuild(options={}) {
         // Visually indicate that the build completed
         state.logInfo(repeat('-', 80));
 
+        callHook('buildFailed', errorsDuringCodeGeneration);
+
         // Flush any pending callbacks and let them handle the errors
-        signalBuildCompleted();
+        signalBuildCompleted({errors: errorsDuringCodeGeneration});
       });
   });
 
   let isBuildComplete = false;
   let pendingBuildCompletedCallbacks = [];
+
+  // Indicates if `start` has traced the entry points
+  let hasStartedTracing = false;
+
+  // Used by `stop` to ensure that we shut down cleanly
+  let isStopped = false;
+  let stopped = null;
+  let pendingCacheWrite = null;
+  let pendingCacheCleanup = null;
+
   function onBuildCompleted(cb) {
     if (isBuildComplete) {
       cb();
@@ -278,13 +403,23 @@ export function createBuild(options={}) {
     isBuildComplete = false;
   }
 
-  function signalBuildCompleted() {
+  /**
+   * Flushes any pending callbacks and emits the `completed` event
+   *
+   * @param {object} details
+   * @param {array} [details.errors] - any errors that blocked the build
+   * @param {array} [details.prunedNodes] - the nodes that were removed from the graph
+   * @param {immutable.Map} [details.records] - the records that were added or updated
+   */
+  function signalBuildCompleted({errors=null, prunedNodes=[], records=imm.Map()}) {
     isBuildComplete = true;
 
     const _pendingBuildCompletedCallbacks = pendingBuildCompletedCallbacks;
     pendingBuildCompletedCallbacks = [];
 
     _pendingBuildCompletedCallbacks.forEach(cb => cb());
+
+    events.emit('completed', {errors, prunedNodes, records});
   }
 
   /**
@@ -296,8 +431,15 @@ export function createBuild(options={}) {
    * @param {string} file
    */
   function restartTraceOfFile(file) {
+    if (isStopped) {
+      return;
+    }
+
     state.logInfo(`${chalk.bold('Retracing:')} ${file}`);
 
+    callHook('fileChanged', file);
+    events.emit('retrace', {file});
+
     const node = state.graph.getState().get(file);
 
     // Clean up any associated cache files, so that we can cut
@@ -326,7 +468,75 @@ export function createBuild(options={}) {
     });
   }
 
+  /**
+   * Adds an entry point to the build. If the build has started, the
+   * file's dependencies are traced and added to the graph
+   *
+   * @param {string} file
+   */
+  function addEntryPoint(file) {
+    if (includes(state.entryPoints, file)) {
+      return;
+    }
+
+    setState(state.set('entryPoints', [...state.entryPoints, file]));
+
+    if (hasStartedTracing && !isStopped) {
+      state.graph.setNodeAsEntry(file);
+      state.graph.traceFromNode(file);
+    }
+  }
+
+  /**
+   * Removes an entry point from the build. If the build has started, the
+   * file is removed from the graph, along with any dependencies that are
+   * no longer reachable from the other entry points. Connected clients are
+   * informed of the removals once the build has completed.
+   *
+   * The file is also removed from any entry groups
+   *
+   * @param {string} file
+   */
+  function removeEntryPoint(file) {
+    if (!includes(state.entryPoints, file)) {
+      return;
+    }
+
+    setState(state.set('entryPoints', state.entryPoints.filter(entry => entry !== file)));
+
+    if (state.entryGroups) {
+      setState(state.set('entryGroups', mapValues(state.entryGroups, group => group.filter(entry => entry !== file))));
+    }
+
+    const node = state.graph.getState().get(file);
+    if (!hasStartedTracing || isStopped || !node) {
+      return;
+    }
+
+    // As the graph has no concept of unsetting an entry, we remove the
+    // node. Once the graph completes, any nodes that were only reachable
+    // from it are pruned
+    state.graph.pruneNode(file);
+
+    if (node.dependents.size) {
+      // If other files depend on it, retracing them will re-add the file
+      // as a normal node
+      node.dependents.forEach(dependent => {
+        state.graph.traceFromNode(dependent);
+      });
+    } else {
+      // Pruning a node does not start a trace, so we signal it ourselves
+      signalTraceStarted();
+    }
+  }
+
   function start() {
+    if (isStopped) {
+      throw new Error('The build has been stopped and cannot be restarted');
+    }
+
+    validateRequiredOptions(state);
+
     state.logInfo(`${chalk.bold('Unfort:')} v${packageJson.version}`);
 
     ensureJobsAreBoundToState();
@@ -361,10 +571,10 @@ export function createBuild(options={}) {
           // with a different set of libraries of dependencies
           const cacheDir = path.join(state.cacheDirectory, hash);
           const fileCache = createFileCache(cacheDir);
-          fileCache.events.on('error', err => emitError(getState, err));
+          fileCache.events.on('error', err => emitError(getState, events, err));
 
           // Remove any data from previous hashes
-          cleanCacheDirectory(state.cacheDirectory, hash);
+          pendingCacheCleanup = cleanCacheDirectory(state.cacheDirectory, hash);
 
           return fileCache;
         });
@@ -373,6 +583,10 @@ export function createBuild(options={}) {
 
     return Promise.resolve(state.jobCache)
       .then(jobCache => {
+        if (isStopped) {
+          return;
+        }
+
         if (jobCache !== state.jobCache) {
           setState(state.set('jobCache', jobCache));
         }
@@ -380,6 +594,8 @@ export function createBuild(options={}) {
         state.logInfo(chalk.bold('Root URL: ') + state.rootUrl);
         state.logInfo(repeat('-', 80));
 
+        hasStartedTracing = true;
+
         // Start tracing from each entry point
         [state.bootstrapRuntime, ...state.entryPoints].forEach(file => {
           state.graph.setNodeAsEntry(file);
@@ -391,8 +607,54 @@ export function createBuild(options={}) {
   function ensureJobsAreBoundToState() {
     if (!state.jobs) {
       const jobs = createJobs({getState});
-      state = state.set('jobs', jobs);
+      state = state.set('jobs', applyPluginJobs(jobs, state.plugins));
+    }
+  }
+
+  /**
+   * Shuts the build down, so that it no longer keeps the process alive.
+   *
+   * The file watchers are closed and any pending traces and jobs are
+   * cancelled. Once any in-flight cache writes have completed, pending
+   * `onCompleted` callbacks are flushed. If the build had not completed,
+   * its state will contain an error indicating that it was stopped.
+   *
+   * @returns {Promise}
+   */
+  function stop() {
+    if (stopped) {
+      return stopped;
+    }
+
+    isStopped = true;
+
+    if (state.watchers) {
+      state.watchers.close();
     }
+
+    // Any pending traces are ignored by the graph's event handlers, and
+    // `getDependencies` stops them from tracing further
+
+    stopped = Promise.resolve(state.jobCache)
+      // Failures to create the cache will have already been reported
+      .catch(() => {})
+      .then(() => Promise.all([pendingCacheWrite, pendingCacheCleanup]))
+      .then(() => {
+        // Removing the records interrupts any jobs that are still running
+        if (state.recordStore) {
+          state.recordStore.getState()
+            .keySeq()
+            .forEach(name => state.recordStore.remove(name));
+        }
+
+        if (!isBuildComplete) {
+          const errors = [new Error('The build was stopped before it completed')];
+          setState(state.set('errors', errors));
+          signalBuildCompleted({errors});
+        }
+      });
+
+    return stopped;
   }
 
   /**
@@ -422,19 +684,53 @@ export function createBuild(options={}) {
     extendJobState(getState, setState, fn);
   }
 
-  return {
+  /**
+   * Waits for the build to complete, then writes its records, an injection
+   * script and a manifest to `outputDir`.
+   *
+   * Rejects if the build contains errors
+   *
+   * @param {object} options - see `writeBuildOutput`
+   * @returns {Promise} resolves to the manifest
+   */
+  function emit(options={}) {
+    return new Promise((resolve, reject) => {
+      onBuildCompleted(() => {
+        if (stateContainsErrors(state)) {
+          return reject(new Error(describeBuildStateErrors(state)));
+        }
+
+        // Missing options are reported by `writeBuildOutput`'s rejection
+        if (options.outputDir) {
+          state.logInfo(`${chalk.bold('Emitting:')} ${options.outputDir}`);
+        }
+
+        writeBuildOutput(build, options)
+          .then(resolve, reject);
+      });
+    });
+  }
+
+  const build = {
     getState,
     setState,
+    events,
     start,
+    stop,
+    addEntryPoint,
+    removeEntryPoint,
     extendJobs,
     restartTraceOfFile,
+    emit,
     onCompleted: onBuildCompleted,
     hasErrors: () => stateContainsErrors(state),
     describeErrors: () => describeBuildStateErrors(state)
   };
+
+  return build;
 }
 
-function emitError(getState, err, file) {
+function emitError(getState, events, err, file) {
   const state = getState();
 
   const message = describeError(err, file);
@@ -443,9 +739,16 @@ function emitError(getState, err, file) {
   // formatting issues with progress indicators
   state.logError('\n' + message);
 
-  const cleanedMessage = stripAnsi(message);
+  // Connected browsers receive a structured description, so that the
+  // hot runtime's error overlay can lay out each part of the error
+  const description = createErrorDescription(err, file);
   state.getSockets()
-    .forEach(socket => socket.emit('unfort:build-error', cleanedMessage));
+    .forEach(socket => socket.emit('unfort:build-error', description));
+
+  // Emitting an `error` event without a listener would throw
+  if (events.listenerCount('error')) {
+    events.emit('error', {file, error: err});
+  }
 }
 
 function emitBuild(getState, {prunedNodes, prevRecordsState}) {
@@ -459,23 +762,61 @@ function emitBuild(getState, {prunedNodes, prevRecordsState}) {
   // where it can fetch each asset from
   const payload = {
     records: {},
-    removed: {}
+    removed: {},
+    asyncModules: {}
   };
 
+  // Records that are only reachable through async dependencies are flagged,
+  // so that the runtime knows to leave them until they are requested
+  const entryPoints = [state.bootstrapRuntime, ...state.entryPoints];
+  const syncRecords = Object.create(null);
+  resolveSyncExecutionOrder(recordsState, state.nodes, entryPoints)
+    .forEach(name => syncRecords[name] = true);
+
+  // HTML documents are served, rather than added to a page, so any
+  // pages that are viewing an updated document are told to reload
+  const reloadedDocuments = [];
+
   recordsState.forEach(record => {
-    if (record.name !== state.bootstrapRuntime) {
-      payload.records[record.name] = createRecordDescription(record);
+    if (record.data.assetKind === 'document') {
+      const prevRecord = prevRecordsState && prevRecordsState.get(record.name);
+      if (prevRecord && prevRecord.data.hash !== record.data.hash) {
+        reloadedDocuments.push(record.name);
+      }
+    } else if (record.name !== state.bootstrapRuntime) {
+      const description = createRecordDescription(record);
+      if (!syncRecords[record.name]) {
+        description.isAsync = true;
+      }
+      payload.records[record.name] = description;
     }
   });
 
+  payload.asyncModules = resolveAsyncModules(recordsState, state.nodes, entryPoints);
+
+  // The records used by each entry group, so that pages built from a group
+  // can ignore any records that only other groups depend on
+  if (state.entryGroups) {
+    payload.entryGroups = {};
+    Object.keys(state.entryGroups).forEach(name => {
+      const groupEntryPoints = [state.bootstrapRuntime, ...state.entryGroups[name]];
+      payload.entryGroups[name] = resolveSyncExecutionOrder(recordsState, state.nodes, groupEntryPoints);
+    });
+  }
+
   prunedNodes.forEach(name => {
     const prevRecord = prevRecordsState.get(name);
-    payload.removed[name] = createRecordDescription(prevRecord);
+    if (prevRecord.data.assetKind !== 'document') {
+      payload.removed[name] = createRecordDescription(prevRecord);
+    }
   });
 
   // Send the payload over the wire to any connected browser
   state.getSockets()
-    .forEach(socket => socket.emit('unfort:build-complete', payload));
+    .forEach(socket => {
+      reloadedDocuments.forEach(name => socket.emit('unfort:reload', {name}));
+      socket.emit('unfort:build-complete', payload);
+    });
 }
 
 function extendJobState(getState, setState, fn) {
@@ -493,24 +834,35 @@ function extendJobState(getState, setState, fn) {
  *
  * @param {string} cacheDirectory
  * @param {string} currentDirectory
+ * @returns {Promise} resolves once the directories have been removed. Failures
+ *   are logged, rather than rejected
  */
 function cleanCacheDirectory(cacheDirectory, currentDirectory) {
-  fs.readdir(cacheDirectory, (err, contents) => {
-    function logCacheCleanupFailure(err) {
-      console.error('Failed to clean cache directory...');
-      console.error(err);
-    }
+  function logCacheCleanupFailure(err) {
+    console.error('Failed to clean cache directory...');
+    console.error(err);
+  }
 
-    if (err) return logCacheCleanupFailure(err);
+  return new Promise(resolve => {
+    fs.readdir(cacheDirectory, (err, contents) => {
+      if (err) {
+        logCacheCleanupFailure(err);
+        return resolve();
+      }
 
-    contents
-      .filter(dirname => dirname !== currentDirectory)
-      .forEach(dirname => rimraf(
-        path.join(cacheDirectory, dirname),
-        err => {
-          if (err) logCacheCleanupFailure(err);
-        }
-      ));
+      Promise.all(
+        contents
+          .filter(dirname => dirname !== currentDirectory)
+          .map(dirname => new Promise(resolveRemoval => rimraf(
+            path.join(cacheDirectory, dirname),
+            err => {
+              if (err) logCacheCleanupFailure(err);
+              resolveRemoval();
+            }
+          )))
+      )
+        .then(resolve);
+    });
   });
 }
 
@@ -522,6 +874,26 @@ function describeBuildStateErrors(state) {
   return describeErrorList(state.errors);
 }
 
+/**
+ * Maps the urls of records and their external source maps to the records
+ *
+ * @param {object} recordsState
+ * @returns {immutable.Map}
+ */
+function createRecordsByUrl(recordsState) {
+  return imm.Map().withMutations(recordsByUrl => {
+    recordsState.forEach(record => {
+      const {url, sourceMapUrl} = record.data;
+      if (url) {
+        recordsByUrl.set(url, record);
+      }
+      if (sourceMapUrl) {
+        recordsByUrl.set(sourceMapUrl, record);
+      }
+    });
+  });
+}
+
 /**
  * Creates an immutable map of file dependencies to their associated
  * records
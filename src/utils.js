@@ -1,7 +1,9 @@
 import fs from 'fs';
 import babelCodeFrame from 'babel-code-frame';
 import chalk from 'chalk';
+import stripAnsi from 'strip-ansi';
 import {includes} from 'lodash/collection';
+import {SourceMapConsumer, SourceMapGenerator} from 'source-map';
 
 /**
  * We need to rebuild source maps for js files such that it
@@ -19,6 +21,23 @@ import {includes} from 'lodash/collection';
  */
 export const JS_MODULE_SOURCE_MAP_LINE_OFFSET = ';';
 
+/**
+ * Composes a source map with the source map of the file that it was
+ * generated from, so that the result maps back to the original sources.
+ *
+ * Mappings that cannot be traced back through the input map are
+ * preserved, so that they continue to point at the generated file
+ *
+ * @param {object} map - a source map with a single source
+ * @param {object} inputMap - the source map of that source
+ * @returns {object}
+ */
+export function composeSourceMaps(map, inputMap) {
+  const generator = SourceMapGenerator.fromSourceMap(new SourceMapConsumer(map));
+  generator.applySourceMap(new SourceMapConsumer(inputMap), map.sources[0]);
+  return generator.toJSON();
+}
+
 /**
  * Produces a string that can be used to inject a module definition
  * into the bootstrap runtime
@@ -46,12 +65,106 @@ export function createJSModuleDefinition({name, deps, hash, code}) {
  * @returns {object}
  */
 export function createRecordDescription(record) {
-  return {
+  const description = {
     name: record.name,
     hash: record.data.hash,
     url: record.data.url,
-    isTextFile: record.data.isTextFile
+    isTextFile: record.data.isTextFile,
+    assetKind: record.data.assetKind
   };
+
+  // Stylesheets and other assets are represented by shim modules, which
+  // may export more than their url (eg: the class names of CSS Modules), so
+  // runtimes evaluate the definition rather than inferring it from the url
+  if (record.data.assetKind !== 'script' && record.data.moduleDefinition) {
+    description.moduleDefinition = record.data.moduleDefinition;
+  }
+
+  return description;
+}
+
+/**
+ * Performs a depth first traversal from the entry points and returns the
+ * names of the records in the order that they should be executed.
+ *
+ * Unlike `resolveExecutionOrder` from `cyclic-dependency-graph`, edges to
+ * a record's `asyncDependencies` are not followed, as the runtime loads
+ * them on demand
+ *
+ * @param {immutable.Map} records
+ * @param {immutable.Map} nodes
+ * @param {array} entryPoints
+ * @returns {array}
+ */
+export function resolveSyncExecutionOrder(records, nodes, entryPoints) {
+  const seen = Object.create(null);
+  const order = [];
+
+  function traverseFromNode(name) {
+    if (seen[name]) {
+      return;
+    }
+    seen[name] = true;
+
+    const asyncDependencies = getAsyncDependencies(records.get(name));
+
+    nodes.get(name).dependencies.forEach(dependency => {
+      if (!includes(asyncDependencies, dependency)) {
+        traverseFromNode(dependency);
+      }
+    });
+
+    order.push(name);
+  }
+
+  entryPoints.forEach(traverseFromNode);
+
+  return order;
+}
+
+/**
+ * Produces a map of the async dependencies that are reachable from the
+ * entry points. Each async dependency is mapped to descriptions of the
+ * records that must be defined before it can be executed, in execution
+ * order.
+ *
+ * The runtime uses the map to fetch any records that are missing when
+ * an async dependency is requested
+ *
+ * @param {immutable.Map} records
+ * @param {immutable.Map} nodes
+ * @param {array} entryPoints
+ * @returns {object}
+ */
+export function resolveAsyncModules(records, nodes, entryPoints) {
+  const asyncModules = {};
+
+  const pending = [];
+  function addAsyncDependenciesOf(names) {
+    names.forEach(name => {
+      getAsyncDependencies(records.get(name))
+        .forEach(dependency => pending.push(dependency));
+    });
+  }
+
+  addAsyncDependenciesOf(resolveSyncExecutionOrder(records, nodes, entryPoints));
+
+  while (pending.length) {
+    const name = pending.shift();
+    if (!asyncModules[name]) {
+      const executionOrder = resolveSyncExecutionOrder(records, nodes, [name]);
+
+      asyncModules[name] = executionOrder.map(name => createRecordDescription(records.get(name)));
+
+      addAsyncDependenciesOf(executionOrder);
+    }
+  }
+
+  return asyncModules;
+}
+
+function getAsyncDependencies(record) {
+  return (record && record.data.asyncDependencies) || [];
 }
 
 /**
@@ -79,6 +192,56 @@ export function describeError(err, file) {
     lines.push(err.message);
   }
 
+  const codeFrame = resolveCodeFrame(err, file);
+  if (codeFrame) {
+    lines.push(codeFrame);
+  }
+
+  lines.push(err.stack);
+
+  return lines.join('\n');
+}
+
+/**
+ * Given an Error object, produces a structured description that can be
+ * sent to the hot runtime, so that it can lay out each part of the error.
+ *
+ * @param {error|*} err
+ * @param {string} [file]
+ * @returns {object}
+ */
+export function createErrorDescription(err, file) {
+  // Jobs may reject with values other than errors, such as strings
+  if (!(err instanceof Error)) {
+    return {
+      file: file || null,
+      message: stripAnsi(String(err)),
+      codeFrame: null,
+      stack: null,
+      loc: null
+    };
+  }
+
+  const codeFrame = resolveCodeFrame(err, file);
+
+  return {
+    file: file || null,
+    message: stripAnsi(String(err.message)),
+    codeFrame: codeFrame ? stripAnsi(codeFrame) : null,
+    stack: err.stack ? stripAnsi(err.stack) : null,
+    loc: err.loc ? {line: err.loc.line, column: err.loc.column} : null
+  };
+}
+
+/**
+ * Produces a code frame for an error, or null if the error has no
+ * location or its code frame is already included in its message
+ *
+ * @param {error} err
+ * @param {string} [file]
+ * @returns {string|null}
+ */
+function resolveCodeFrame(err, file) {
   // Improve the reporting on parse errors by generating a code frame
   if (err.loc && !err.codeFrame) {
     let text;
@@ -99,12 +262,10 @@ export function describeError(err, file) {
     !includes(err.message, err.codeFrame) &&
     !includes(err.stack, err.codeFrame)
   ) {
-    lines.push(err.codeFrame);
+    return err.codeFrame;
   }
 
-  lines.push(err.stack);
-
-  return lines.join('\n');
+  return null;
 }
 
 /**
@@ -124,4 +285,25 @@ export function describeErrorList(errors) {
       }
     })
     .join('\n');
-}
\ No newline at end of file
+}
+
+/**
+ * Compilers are loaded on demand, so that projects which don't use
+ * them are not penalised
+ *
+ * @param {string} name - the package name
+ * @param {string} ext - the extension of the file being compiled
+ * @returns {object}
+ */
+export function requireCompiler(name, ext) {
+  try {
+    return require(name);
+  } catch (err) {
+    if (err.code === 'MODULE_NOT_FOUND') {
+      throw new Error(
+        `The "${name}" package must be installed to compile ${ext} files. Install it with \`npm install --save-dev ${name}\``
+      );
+    }
+    throw err;
+  }
+}
@@ -12,11 +12,13 @@ import {debounce} from 'lodash/function';
  * @property {FSWatcher} watcher
  * @property {FSWatcher} nodeModulesWatcher
  * @property {Function} watchFile
+ * @property {Function} close
  */
 const Watchers = imm.Record({
   watcher: null,
   nodeModulesWatcher: null,
-  watchFile: null
+  watchFile: null,
+  close: null
 });
 
 /**
@@ -199,9 +201,20 @@ export function createWatchers({getState, restartTraceOfFile}) {
     }
   }
 
+  /**
+   * Stops observing the file system, so that the watchers no longer
+   * keep the process alive
+   */
+  function close() {
+    _debouncedRestartFailedBuild.cancel();
+    watcher.close();
+    nodeModulesWatcher.close();
+  }
+
   return Watchers({
     watcher,
     nodeModulesWatcher,
-    watchFile
+    watchFile,
+    close
   });
 }
\ No newline at end of file